@@ -0,0 +1,100 @@
+
+/*  Assignment Module - Match photos to layout blocks page-wide
+    - Hungarian algorithm maximising the total block/photo score
+    - Aspect-ratio loss measures how much of each photo a placement wastes
+----------------------------------------------------------------*/
+
+export const ASSIGN_STRATEGIES = ['optimal', 'greedy'];
+
+/**
+ * Solve a rectangular assignment problem, maximising the total score
+ * @param {number[][]} scores - scores[block][photo]; needs no more blocks than photos
+ * @returns {number[]} Photo index assigned to each block
+ */
+export function solveAssignment(scores) {
+  const n = scores.length;
+  if (n === 0) return [];
+  const m = scores[0].length;
+  if (m < n) throw new Error(`Cannot assign ${n} blocks from ${m} photos`);
+
+  // Minimise cost = max - score; potentials u (blocks) and v (photos), 1-based with a virtual column 0
+  const max = Math.max(...scores.map(row => Math.max(...row)));
+  const u = new Float64Array(n + 1);
+  const v = new Float64Array(m + 1);
+  const owner = new Int32Array(m + 1); // block (1-based) holding each photo, 0 = free
+  const way = new Int32Array(m + 1);
+
+  for (let block = 1; block <= n; block++) {
+    owner[0] = block;
+    let col = 0;
+    const minv = new Float64Array(m + 1).fill(Infinity);
+    const used = new Uint8Array(m + 1);
+
+    do {
+      used[col] = 1;
+      const row = owner[col];
+      let delta = Infinity;
+      let next = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cost = max - scores[row - 1][j - 1] - u[row] - v[j];
+        if (cost < minv[j]) {
+          minv[j] = cost;
+          way[j] = col;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          next = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[owner[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      col = next;
+    } while (owner[col] !== 0);
+
+    // Flip the augmenting path
+    do {
+      const prev = way[col];
+      owner[col] = owner[prev];
+      col = prev;
+    } while (col !== 0);
+  }
+
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (owner[j]) assignment[owner[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+/**
+ * Share of the photo lost to a block of another ratio: cropped away by cover,
+ * left as empty block area by contain (0 = exact match)
+ * @param {number} photoAspect - Photo width / height
+ * @param {number} blockAspect - Block width / height
+ * @returns {number} Loss between 0 and 1
+ */
+export function aspectLoss(photoAspect, blockAspect) {
+  return 1 - Math.min(photoAspect, blockAspect) / Math.max(photoAspect, blockAspect);
+}
+
+/**
+ * Summarise aspect-ratio loss over a set of placements
+ * @param {number[]} losses - aspectLoss per placement
+ * @returns {{mean: number, max: number, total: number}} Rounded summary
+ */
+export function summarizeLoss(losses) {
+  const round = v => Math.round(v * 1000) / 1000;
+  const total = losses.reduce((sum, l) => sum + l, 0);
+  return {
+    mean: round(losses.length ? total / losses.length : 0),
+    max: round(losses.length ? Math.max(...losses) : 0),
+    total: round(total)
+  };
+}
@@ -0,0 +1,55 @@
+
+/*  Photo Cache Module - Source photos read on demand within a memory budget
+    - Nothing is read up front: a page's photos load when it is rendered
+    - Recently used files stay in memory, least recently used evicted past the budget,
+      so the crop, fit, layer and PDF steps of a page read each file from disk once
+    - Files larger than the whole budget are handed to sharp as paths
+----------------------------------------------------------------*/
+import fsp from 'node:fs/promises';
+
+/**
+ * @typedef {Object} PhotoCache
+ * @property {(file: string) => Promise<Buffer|string>} load - File contents, or its path when too large to cache
+ * @property {() => void} clear - Drop every cached file
+ * @property {() => number} size - Bytes held
+ */
+
+/**
+ * Create a least-recently-used cache of photo files
+ * @param {number} budget - Most bytes to hold
+ * @returns {PhotoCache} Cache
+ */
+export function createPhotoCache(budget) {
+  const files = new Map(); // Map keeps insertion order; a hit re-inserts, so the first entry is least recently used
+  let bytes = 0;
+
+  const evict = limit => {
+    for (const [file, data] of files) {
+      if (bytes <= limit) break;
+      files.delete(file);
+      bytes -= data.length;
+    }
+  };
+
+  return {
+    async load(file) {
+      const cached = files.get(file);
+      if (cached) {
+        files.delete(file);
+        files.set(file, cached);
+        return cached;
+      }
+
+      const { size } = await fsp.stat(file);
+      if (size > budget) return file;
+
+      evict(budget - size);
+      const data = await fsp.readFile(file);
+      files.set(file, data);
+      bytes += data.length;
+      return data;
+    },
+    clear: () => evict(0),
+    size: () => bytes
+  };
+}
@@ -1,22 +1,27 @@
 #!/usr/bin/env node
-/*  Collage Renderer - Create JPEG outputs from JSON layout files
+/*  Collage Renderer - Create page images from JSON layout files
 ----------------------------------------------------------------*/
 import { Command } from 'commander';
-import { renderFromJSON } from './render.js';
+import { renderFromJSON, PAGE_FORMATS } from './render.js';
+import { WEB_FORMATS } from './web.js';
+import { loadIccProfile, checkOutputFormat } from './icc.js';
 import fs from 'node:fs';
 
 /* ---------- CLI ---------- */
 const cli = new Command('render');
 cli.version('1.0.0')
-  .description('Render JPEG collages from JSON layout files')
+  .description('Render collage images from JSON layout files')
   .requiredOption('-j, --json <file>', 'JSON layout file to render')
   .option('-o, --output <dir>', 'output directory', './rendered')
-  .option('-f, --format <format>', 'output format (jpg|png)', 'jpg')
-  .option('-q, --quality <n>', 'JPEG quality (1-100)', '92')
+  .option('-f, --format <format>', `output format (${PAGE_FORMATS.join('|')})`, 'jpg')
+  .option('-q, --quality <n>', 'JPEG, WebP and AVIF quality (1-100)', '92')
+  .option('--bitDepth <bits>', 'bits per channel for TIFF and PNG: 8 or 16 (an 8-bit composite stored as 16-bit)', '8')
+  .option('--inline', 'embed photos in SVG/HTML pages as data URIs')
   .option('--bg <hex>', 'background color', '#ffffff')
   .option('--padding <n>', 'padding between photos in pixels', '0')
   .option('--border <n>', 'border width around photos in pixels', '0')
   .option('--borderColor <hex>', 'border color', '#000000')
+  .option('--profile <icc>', 'output ICC profile file (overrides the profile recorded in the layout)')
   .parse();
 
 const opt = cli.opts();
@@ -27,6 +32,21 @@ if (!fs.existsSync(opt.json)) {
   process.exit(1);
 }
 
+if (!PAGE_FORMATS.includes(opt.format)) {
+  console.error(`❌ Invalid format: ${opt.format}. Use one of ${PAGE_FORMATS.join(', ')}`);
+  process.exit(1);
+}
+
+// Only 8-bit JPEG and TIFF hold CMYK; SVG and HTML pages are always sRGB. Profiles recorded
+// in the layout are checked the same way when its pages are rendered
+const profile = opt.profile ? await loadIccProfile(opt.profile) : null;
+try {
+  if (!WEB_FORMATS.includes(opt.format)) checkOutputFormat(profile, { format: opt.format, bitDepth: parseInt(opt.bitDepth) });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 /* ---------- Main ---------- */
 // console.log(`📄 Reading layout from: ${opt.json}`);
 
@@ -36,7 +56,10 @@ const renderOptions = {
   borderWidth: parseInt(opt.border),
   borderColor: opt.borderColor,
   format: opt.format,
-  quality: parseInt(opt.quality)
+  quality: parseInt(opt.quality),
+  bitDepth: parseInt(opt.bitDepth),
+  inline: opt.inline,
+  profile: profile?.path
 };
 
 try {
@@ -0,0 +1,281 @@
+
+/*  Color Module - Perceptual colour for harmony ordering and scoring
+    - Vibrant swatches converted to OKLab / OKLCH
+    - Circular hue statistics (mean and distance across the 0/360 wrap)
+    - Palette distance, and book orderings: hue circle, gradient, palette groups
+    - Per-page background and frame colours from the page's palettes
+----------------------------------------------------------------*/
+
+export const HARMONY_MODES = ['hue', 'gradient', 'group'];
+
+// OKLCH chroma below which a colour counts as neutral (grey, black, white)
+const NEUTRAL_CHROMA = 0.03;
+
+const SWATCH_NAMES = ['Vibrant', 'Muted', 'DarkVibrant', 'DarkMuted', 'LightVibrant', 'LightMuted'];
+
+/**
+ * @typedef {Object} Swatch
+ * @property {string} name - Vibrant swatch name (Vibrant, Muted, DarkVibrant, ...)
+ * @property {string} hex - Colour as #rrggbb
+ * @property {number} share - Share of the palette population (0-1)
+ * @property {[number, number, number]} lab - OKLab L, a, b
+ * @property {[number, number, number]} lch - OKLCH L, C, h (degrees)
+ */
+
+/**
+ * @typedef {Object} PhotoPalette
+ * @property {Swatch[]} swatches - Swatches present in the photo, most populous first
+ * @property {Swatch} dominant - Most populous swatch
+ * @property {number|undefined} hue - Population-weighted circular mean hue of chromatic swatches
+ */
+
+// sRGB 0-255 to linear light
+const toLinear = c => {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+};
+
+/**
+ * Convert sRGB to OKLab
+ * @param {number} r - Red 0-255
+ * @param {number} g - Green 0-255
+ * @param {number} b - Blue 0-255
+ * @returns {[number, number, number]} OKLab L, a, b
+ */
+export function rgbToOklab(r, g, b) {
+  const [lr, lg, lb] = [toLinear(r), toLinear(g), toLinear(b)];
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+/**
+ * Convert OKLab to OKLCH
+ * @param {[number, number, number]} lab - OKLab L, a, b
+ * @returns {[number, number, number]} L, chroma, hue in degrees (0-360)
+ */
+export function oklabToOklch([L, a, b]) {
+  const hue = (Math.atan2(b, a) * 180) / Math.PI;
+  return [L, Math.hypot(a, b), (hue + 360) % 360];
+}
+
+/**
+ * Circular mean of hues, optionally weighted
+ * @param {number[]} hues - Hues in degrees
+ * @param {number[]} [weights] - Weight per hue (default 1)
+ * @returns {number|undefined} Mean hue, or undefined when the hues cancel out
+ */
+export function circularMeanHue(hues, weights = []) {
+  let x = 0;
+  let y = 0;
+  hues.forEach((hue, i) => {
+    const w = weights[i] ?? 1;
+    x += w * Math.cos((hue * Math.PI) / 180);
+    y += w * Math.sin((hue * Math.PI) / 180);
+  });
+  if (Math.hypot(x, y) < 1e-9) return undefined;
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Shortest angle between two hues
+ * @param {number} a - Hue in degrees
+ * @param {number} b - Hue in degrees
+ * @returns {number} Distance 0-180
+ */
+export function hueDistance(a, b) {
+  const d = Math.abs(a - b) % 360;
+  return Math.min(d, 360 - d);
+}
+
+/**
+ * Build a photo palette from a node-vibrant palette
+ * @param {Object} vibrantPalette - Result of Vibrant#getPalette()
+ * @returns {PhotoPalette|null} Palette, or null when Vibrant found no swatches
+ */
+export function paletteFromVibrant(vibrantPalette) {
+  const found = SWATCH_NAMES
+    .map(name => ({ name, swatch: vibrantPalette?.[name] }))
+    .filter(({ swatch }) => swatch);
+  const total = found.reduce((sum, { swatch }) => sum + swatch.population, 0);
+  if (!found.length || !total) return null;
+
+  const swatches = found
+    .map(({ name, swatch }) => {
+      const lab = rgbToOklab(...swatch.rgb);
+      return { name, hex: swatch.hex, share: swatch.population / total, lab, lch: oklabToOklch(lab) };
+    })
+    .sort((a, b) => b.share - a.share);
+
+  const chromatic = swatches.filter(s => s.lch[1] >= NEUTRAL_CHROMA);
+  return {
+    swatches,
+    dominant: swatches[0],
+    hue: circularMeanHue(chromatic.map(s => s.lch[2]), chromatic.map(s => s.share * s.lch[1]))
+  };
+}
+
+/**
+ * Perceptual distance between two sets of swatches: each swatch's OKLab distance to
+ * its nearest counterpart, weighted by population share and averaged both ways
+ * @param {Swatch[]} a - Swatches
+ * @param {Swatch[]} b - Swatches
+ * @returns {number} Distance (0 = same colours; about 0.4 spans black to white)
+ */
+export function paletteDistance(a, b) {
+  const oneWay = (from, to) => {
+    const weight = from.reduce((sum, s) => sum + s.share, 0) || 1;
+    return from.reduce((sum, s) => {
+      const nearest = Math.min(...to.map(t => Math.hypot(s.lab[0] - t.lab[0], s.lab[1] - t.lab[1], s.lab[2] - t.lab[2])));
+      return sum + s.share * nearest;
+    }, 0) / weight;
+  };
+  if (!a.length || !b.length) return 0;
+  return (oneWay(a, b) + oneWay(b, a)) / 2;
+}
+
+// Photos without a palette keep their relative order at the end
+function splitByPalette(photos) {
+  return [photos.filter(p => p.palette), photos.filter(p => !p.palette)];
+}
+
+/**
+ * Order around the hue circle, starting after the widest hue gap so no colour family
+ * is split by the 0/360 wrap; neutral photos follow, dark to light
+ * @param {{palette: PhotoPalette|null}[]} photos - Photos with palettes
+ * @returns {Object[]} Ordered photos
+ */
+export function orderByHue(photos) {
+  const [withPalette, rest] = splitByPalette(photos);
+  const chromatic = withPalette.filter(p => p.palette.hue !== undefined)
+    .sort((a, b) => a.palette.hue - b.palette.hue);
+  const neutral = withPalette.filter(p => p.palette.hue === undefined)
+    .sort((a, b) => a.palette.dominant.lch[0] - b.palette.dominant.lch[0]);
+
+  let start = 0;
+  let widestGap = -1;
+  chromatic.forEach((p, i) => {
+    const next = chromatic[(i + 1) % chromatic.length];
+    const gap = (next.palette.hue - p.palette.hue + 360) % 360 || (chromatic.length === 1 ? 360 : 0);
+    if (gap > widestGap) {
+      widestGap = gap;
+      start = (i + 1) % chromatic.length;
+    }
+  });
+
+  return [...chromatic.slice(start), ...chromatic.slice(0, start), ...neutral, ...rest];
+}
+
+/**
+ * Order as a colour gradient: from the first photo of the hue order, always step to the
+ * most similar remaining palette
+ * @param {{palette: PhotoPalette|null}[]} photos - Photos with palettes
+ * @returns {Object[]} Ordered photos
+ */
+export function orderByGradient(photos) {
+  const remaining = orderByHue(photos.filter(p => p.palette));
+  const ordered = remaining.length ? [remaining.shift()] : [];
+  while (remaining.length) {
+    const last = ordered[ordered.length - 1].palette.swatches;
+    let best = 0;
+    let bestDistance = Infinity;
+    remaining.forEach((p, i) => {
+      const d = paletteDistance(last, p.palette.swatches);
+      if (d < bestDistance) {
+        bestDistance = d;
+        best = i;
+      }
+    });
+    ordered.push(remaining.splice(best, 1)[0]);
+  }
+  return [...ordered, ...photos.filter(p => !p.palette)];
+}
+
+/**
+ * Group photos with similar palettes: each group starts from the next photo of the
+ * gradient order and takes its closest remaining palettes
+ * @param {{palette: PhotoPalette|null}[]} photos - Photos with palettes
+ * @param {number} groupSize - Photos per group (about one page)
+ * @returns {Object[]} Photos, group after group
+ */
+export function groupByPalette(photos, groupSize) {
+  const remaining = orderByGradient(photos.filter(p => p.palette));
+  const ordered = [];
+  while (remaining.length) {
+    const seed = remaining.shift();
+    const nearest = remaining
+      .map(p => ({ p, d: paletteDistance(seed.palette.swatches, p.palette.swatches) }))
+      .sort((a, b) => a.d - b.d)
+      .slice(0, Math.max(0, groupSize - 1))
+      .map(({ p }) => p);
+    ordered.push(seed, ...nearest);
+    for (const p of nearest) remaining.splice(remaining.indexOf(p), 1);
+  }
+  return [...ordered, ...photos.filter(p => !p.palette)];
+}
+
+// Linear light back to sRGB 0-255
+const fromLinear = v => Math.round(255 * (v <= 0.0031308 ? 12.92 * v : 1.055 * v ** (1 / 2.4) - 0.055));
+
+// OKLCH to linear sRGB (may fall outside 0-1 when out of gamut)
+function oklchToLinear([L, C, h]) {
+  const a = C * Math.cos((h * Math.PI) / 180);
+  const b = C * Math.sin((h * Math.PI) / 180);
+  const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+  const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+  const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+  return [
+    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+/**
+ * Convert OKLCH to a hex colour, lowering chroma until it fits in sRGB
+ * @param {[number, number, number]} lch - L 0-1, chroma, hue in degrees
+ * @returns {string} #rrggbb
+ */
+export function oklchToHex([L, C, h]) {
+  let chroma = C;
+  let rgb = oklchToLinear([L, chroma, h]);
+  while (chroma > 0 && rgb.some(v => v < 0 || v > 1)) {
+    chroma = Math.max(0, chroma - 0.005);
+    rgb = oklchToLinear([L, chroma, h]);
+  }
+  return '#' + rgb.map(v => fromLinear(Math.min(1, Math.max(0, v))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Background and frame colours for a page from its photos' palettes. Colourful pages get
+ * a faint tint of the complementary hue, others a neutral; the background is light unless
+ * the photos are mostly light. The frame takes the page's own hue, muted.
+ * @param {PhotoPalette[]} palettes - Palettes of the photos on the page
+ * @returns {{background: string, borderColor: string}|null} Hex colours, or null without palettes
+ */
+export function pageColors(palettes) {
+  const swatches = palettes.flatMap(p => p.swatches.map(s => ({ ...s, share: s.share / palettes.length })));
+  if (!swatches.length) return null;
+
+  const lightness = swatches.reduce((sum, s) => sum + s.share * s.lch[0], 0);
+  const chroma = swatches.reduce((sum, s) => sum + s.share * s.lch[1], 0);
+  const chromatic = swatches.filter(s => s.lch[1] >= NEUTRAL_CHROMA);
+  const hue = chroma >= NEUTRAL_CHROMA
+    ? circularMeanHue(chromatic.map(s => s.lch[2]), chromatic.map(s => s.share * s.lch[1]))
+    : undefined;
+
+  const dark = lightness > 0.7;
+  const background = hue === undefined
+    ? oklchToHex([dark ? 0.22 : 0.96, 0, 0])
+    : oklchToHex([dark ? 0.24 : 0.95, 0.02, (hue + 180) % 360]);
+  const borderColor = hue === undefined
+    ? oklchToHex([dark ? 0.4 : 0.85, 0, 0])
+    : oklchToHex([dark ? 0.42 : 0.82, Math.min(chroma, 0.06), hue]);
+
+  return { background, borderColor };
+}
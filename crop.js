@@ -0,0 +1,81 @@
+
+/*  Crop Module - Choose the source window for cover fits
+    - Focal point: largest window of the block's aspect centered on it
+    - Otherwise sharp's attention/entropy strategy, measured on a small proxy
+    - Rectangles are in EXIF-oriented source pixels, ready for sharp.extract()
+----------------------------------------------------------------*/
+import sharp from 'sharp';
+
+/**
+ * @typedef {Object} CropRect
+ * @property {number} left - Left edge in source pixels
+ * @property {number} top - Top edge in source pixels
+ * @property {number} width - Window width in source pixels
+ * @property {number} height - Window height in source pixels
+ */
+
+export const CROP_STRATEGIES = ['attention', 'entropy', 'center'];
+
+// Longest proxy edge used to measure saliency; plenty for picking a window
+const PROXY_SIZE = 256;
+
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+/**
+ * Largest window with the target aspect ratio, centered on a focal point
+ * @param {number} srcW - Source width (oriented)
+ * @param {number} srcH - Source height (oriented)
+ * @param {number} targetW - Block width
+ * @param {number} targetH - Block height
+ * @param {{x: number, y: number}} [focus] - Focal point as fractions (default center)
+ * @returns {CropRect} Source window
+ */
+export function focusCrop(srcW, srcH, targetW, targetH, focus = { x: 0.5, y: 0.5 }) {
+  const targetAspect = targetW / targetH;
+  let width = srcW;
+  let height = srcH;
+
+  if (srcW / srcH > targetAspect) {
+    width = Math.max(1, Math.round(srcH * targetAspect));
+  } else {
+    height = Math.max(1, Math.round(srcW / targetAspect));
+  }
+
+  return {
+    left: clamp(Math.round(focus.x * srcW - width / 2), 0, srcW - width),
+    top: clamp(Math.round(focus.y * srcH - height / 2), 0, srcH - height),
+    width,
+    height
+  };
+}
+
+/**
+ * Window picked by sharp's attention or entropy strategy
+ * @param {Buffer|string} input - Photo buffer or path
+ * @param {number} srcW - Source width (oriented)
+ * @param {number} srcH - Source height (oriented)
+ * @param {number} targetW - Block width
+ * @param {number} targetH - Block height
+ * @param {string} strategy - One of CROP_STRATEGIES
+ * @returns {Promise<CropRect>} Source window
+ */
+export async function saliencyCrop(input, srcW, srcH, targetW, targetH, strategy = 'attention') {
+  const window = focusCrop(srcW, srcH, targetW, targetH);
+  if (strategy === 'center') return window;
+
+  // Run the strategy on a small cover-resize, then scale its offset back to source pixels
+  const proxyScale = Math.min(1, PROXY_SIZE / Math.max(targetW, targetH));
+  const proxyW = Math.max(1, Math.round(targetW * proxyScale));
+  const proxyH = Math.max(1, Math.round(targetH * proxyScale));
+  const { info } = await sharp(input)
+    .rotate()
+    .resize(proxyW, proxyH, { fit: 'cover', position: sharp.strategy[strategy] })
+    .toBuffer({ resolveWithObject: true });
+
+  const scale = Math.max(proxyW / srcW, proxyH / srcH);
+  return {
+    ...window,
+    left: clamp(Math.round(Math.abs(info.cropOffsetLeft || 0) / scale), 0, srcW - window.width),
+    top: clamp(Math.round(Math.abs(info.cropOffsetTop || 0) / scale), 0, srcH - window.height)
+  };
+}
@@ -0,0 +1,87 @@
+
+/*  Capture Date Module - Resolve when a photo was taken
+    - EXIF DateTimeOriginal, then XMP dates, then filename patterns, then mtime
+    - Header-only reads via exifr; file copies do not disturb the result
+----------------------------------------------------------------*/
+import exifr from 'exifr';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * @typedef {Object} CaptureDate
+ * @property {Date} date - Resolved capture time
+ * @property {'exif'|'xmp'|'filename'|'mtime'} source - Where the date came from
+ */
+
+export const DATE_SOURCES = ['auto', 'exif', 'xmp', 'filename', 'mtime'];
+
+// Matches IMG_20240512_143022, PXL_20240512_143022123, 2024-05-12 14.30.22, IMG-20240512-WA0001
+const FILENAME_DATE = /(?:^|\D)((?:19|20)\d{2})[-_.]?(0[1-9]|1[0-2])[-_.]?(0[1-9]|[12]\d|3[01])(?:[-_ .T]?([01]\d|2[0-3])[-_.:]?([0-5]\d)[-_.:]?([0-5]\d))?/;
+
+const isValidDate = d => d instanceof Date && !isNaN(d.getTime());
+
+/**
+ * Read EXIF and XMP date tags from the file header
+ * @param {string} file - Photo path
+ * @returns {Promise<{exif: Date|null, xmp: Date|null}>} Dates found per source
+ */
+async function readEmbeddedDates(file) {
+  let tags;
+  try {
+    tags = await exifr.parse(file, { tiff: true, exif: true, xmp: true, mergeOutput: false });
+  } catch {
+    return { exif: null, xmp: null };
+  }
+  if (!tags) return { exif: null, xmp: null };
+
+  const exif = tags.exif?.DateTimeOriginal ?? tags.exif?.CreateDate ?? null;
+  const xmpValue = tags.photoshop?.DateCreated ?? tags.xmp?.CreateDate ?? null;
+  const xmp = xmpValue instanceof Date ? xmpValue : xmpValue ? new Date(xmpValue) : null;
+
+  return {
+    exif: isValidDate(exif) ? exif : null,
+    xmp: isValidDate(xmp) ? xmp : null
+  };
+}
+
+/**
+ * Parse a capture date from common camera and phone filename patterns
+ * @param {string} file - Photo path
+ * @returns {Date|null} Local date, or null when the name has no date
+ */
+export function parseFilenameDate(file) {
+  const m = path.basename(file).match(FILENAME_DATE);
+  if (!m) return null;
+
+  const [, y, mo, d, hh = 0, mi = 0, ss = 0] = m;
+  const date = new Date(+y, +mo - 1, +d, +hh, +mi, +ss);
+  // Reject rollovers such as 20230231
+  return date.getMonth() === +mo - 1 ? date : null;
+}
+
+/**
+ * Resolve the capture date of a photo
+ * @param {string} file - Photo path
+ * @param {string} source - One of DATE_SOURCES; a missing source falls back to the filename, then mtime
+ * @returns {Promise<CaptureDate>} Resolved date and its source
+ */
+export async function resolveCaptureDate(file, source = 'auto') {
+  if (source !== 'mtime' && source !== 'filename') {
+    const embedded = await readEmbeddedDates(file);
+    if ((source === 'auto' || source === 'exif') && embedded.exif) {
+      return { date: embedded.exif, source: 'exif' };
+    }
+    if ((source === 'auto' || source === 'xmp') && embedded.xmp) {
+      return { date: embedded.xmp, source: 'xmp' };
+    }
+  }
+
+  // Every source but mtime falls back to the filename before the file's own time
+  if (source !== 'mtime') {
+    const date = parseFilenameDate(file);
+    if (date) return { date, source: 'filename' };
+  }
+
+  const { mtime } = await fsp.stat(file);
+  return { date: mtime, source: 'mtime' };
+}
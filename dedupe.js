@@ -0,0 +1,116 @@
+
+/*  Dedupe Module - Find duplicates and near-duplicates (burst shots, copies)
+    - 64-bit difference hash (dHash) of the greyscale proxy from quality.js
+    - Groups photos around the one each group keeps, the sharpest (or largest):
+      every member is within N bits of the kept photo
+----------------------------------------------------------------*/
+
+export const DEDUPE_POLICIES = ['off', 'report', 'drop'];
+export const DEDUPE_KEEP = ['sharpness', 'resolution'];
+
+// Mean of a box of greyscale pixels
+function boxMean(grey, width, x0, x1, y0, y1) {
+  let sum = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) sum += grey[y * width + x];
+  }
+  return sum / ((x1 - x0) * (y1 - y0));
+}
+
+/**
+ * dHash: shrink to 9x8 by box averaging, one bit per left/right neighbour comparison
+ * @param {import('./quality.js').GreyProxy} proxy - Greyscale proxy
+ * @returns {string} 64-bit hash as 16 hex digits
+ */
+export function differenceHash({ grey, width, height }) {
+  const edge = (i, n, size) => Math.min(size, Math.floor(i * size / n));
+  let bits = '';
+  for (let row = 0; row < 8; row++) {
+    const y0 = edge(row, 8, height);
+    const y1 = Math.max(y0 + 1, edge(row + 1, 8, height));
+    const cells = [];
+    for (let col = 0; col < 9; col++) {
+      const x0 = Math.min(width - 1, edge(col, 9, width));
+      const x1 = Math.max(x0 + 1, edge(col + 1, 9, width));
+      cells.push(boxMean(grey, width, x0, x1, Math.min(y0, height - 1), Math.min(y1, height)));
+    }
+    for (let col = 0; col < 8; col++) bits += cells[col] > cells[col + 1] ? '1' : '0';
+  }
+  return BigInt('0b' + bits).toString(16).padStart(16, '0');
+}
+
+/**
+ * Number of differing bits between two hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} Hamming distance (0-64)
+ */
+export function hashDistance(a, b) {
+  let x = BigInt('0x' + a) ^ BigInt('0x' + b);
+  let count = 0;
+  while (x) {
+    x &= x - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Group near-duplicate photos around a kept photo. The best remaining photo (by `keep`) leads
+ * each group and takes every ungrouped photo within the threshold of it, so matches do not
+ * chain: two members can differ by up to twice the threshold, but none from the kept photo.
+ * @param {{hash: string, w: number, h: number, sharpness: number}[]} items - Photos with fingerprints
+ * @param {number} threshold - Maximum differing bits for a match
+ * @param {string} [keep] - One of DEDUPE_KEEP, as passed to pickKeeper
+ * @returns {number[][]} Groups of item indices, kept photo first, only those with two or more members
+ */
+export function groupDuplicates(items, threshold, keep = 'sharpness') {
+  // Split hashes into 32-bit halves once; BigInt in the O(n²) loop is slow
+  const halves = items.map(({ hash }) => [parseInt(hash.slice(0, 8), 16), parseInt(hash.slice(8), 16)]);
+  const popcount = v => {
+    v -= (v >>> 1) & 0x55555555;
+    v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+    return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  };
+
+  const distance = (i, j) =>
+    popcount((halves[i][0] ^ halves[j][0]) >>> 0) + popcount((halves[i][1] ^ halves[j][1]) >>> 0);
+
+  // Leaders in keep order (input order breaks ties), so each leader is its group's keeper
+  const better = compareKeep(keep);
+  const order = items.map((_, i) => i).sort((a, b) => better(items[b], items[a]) || a - b);
+  const grouped = new Set();
+  const groups = [];
+  for (const leader of order) {
+    if (grouped.has(leader)) continue;
+    grouped.add(leader);
+    const group = [leader];
+    for (const i of order) {
+      if (!grouped.has(i) && distance(leader, i) <= threshold) {
+        grouped.add(i);
+        group.push(i);
+      }
+    }
+    if (group.length > 1) groups.push(group);
+  }
+  return groups;
+}
+
+/**
+ * Pick the photo to keep from a duplicate group
+ * @param {{w: number, h: number, sharpness: number}[]} photos - Group members
+ * @param {string} keep - One of DEDUPE_KEEP; the other metric breaks ties
+ * @returns {number} Index of the keeper within `photos`
+ */
+export function pickKeeper(photos, keep = 'sharpness') {
+  const better = compareKeep(keep);
+  return photos.reduce((best, p, i) => (better(p, photos[best]) > 0 ? i : best), 0);
+}
+
+// Positive when a is the better photo to keep
+function compareKeep(keep) {
+  const pixels = p => p.w * p.h;
+  return keep === 'resolution'
+    ? (a, b) => pixels(a) - pixels(b) || a.sharpness - b.sharpness
+    : (a, b) => a.sharpness - b.sharpness || pixels(a) - pixels(b);
+}
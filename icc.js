@@ -0,0 +1,130 @@
+
+/*  ICC Module - Colour-managed output through local ICC profiles
+    - Reads a profile's header and description (colour space, device class)
+    - Photos are decoded through their embedded profiles into the sRGB working
+      space; pages and PDF photos are converted from there into the output profile
+    - Page colours converted through the profile for PDF vectors
+    - PDF output intent carrying the profile, as PDF/X workflows expect; only output
+      (printer) profiles describe a printing condition, so others get none
+----------------------------------------------------------------*/
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { PDFName, PDFString } from 'pdf-lib';
+
+// Components per ICC data colour space
+const COMPONENTS = { RGB: 3, CMYK: 4, GRAY: 1 };
+
+// Page formats that hold CMYK, at 8 bits per channel only
+const CMYK_FORMATS = ['jpg', 'tiff'];
+
+/**
+ * @typedef {Object} IccProfile
+ * @property {string} path - Absolute path of the profile file
+ * @property {Buffer} data - Profile bytes
+ * @property {'RGB'|'CMYK'|'GRAY'} colorSpace - Data colour space of the profile
+ * @property {string} deviceClass - ICC device class, e.g. 'prtr' (printer) or 'mntr' (display)
+ * @property {string} description - Profile description, e.g. "Coated FOGRA39"
+ */
+
+/**
+ * Load and check an ICC profile file
+ * @param {string} file - Path to a .icc/.icm file
+ * @returns {Promise<IccProfile>} Parsed profile
+ */
+export async function loadIccProfile(file) {
+  const data = await fsp.readFile(file);
+  if (data.length < 132 || data.toString('latin1', 36, 40) !== 'acsp') {
+    throw new Error(`Not an ICC profile: ${file}`);
+  }
+
+  const colorSpace = data.toString('latin1', 16, 20).trim();
+  if (!COMPONENTS[colorSpace]) {
+    throw new Error(`Unsupported ICC colour space ${colorSpace} in ${file}. Use an RGB, CMYK or grey profile`);
+  }
+
+  return {
+    path: path.resolve(file),
+    data,
+    colorSpace,
+    deviceClass: data.toString('latin1', 12, 16),
+    description: readDescription(data) || path.basename(file, path.extname(file))
+  };
+}
+
+// The 'desc' tag: ICC v2 textDescriptionType (ASCII) or v4 multiLocalizedUnicodeType (UTF-16BE)
+function readDescription(data) {
+  const count = data.readUInt32BE(128);
+  for (let i = 0; i < count; i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > data.length) break;
+    if (data.toString('latin1', entry, entry + 4) !== 'desc') continue;
+
+    const offset = data.readUInt32BE(entry + 4);
+    const type = data.toString('latin1', offset, offset + 4);
+    if (type === 'desc') {
+      const length = data.readUInt32BE(offset + 8);
+      return data.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '').trim();
+    }
+    if (type === 'mluc') {
+      // First record: language, country, length, offset (from the tag start)
+      const length = data.readUInt32BE(offset + 20);
+      const start = offset + data.readUInt32BE(offset + 24);
+      return Buffer.from(data.subarray(start, start + length)).swap16().toString('utf16le').trim();
+    }
+  }
+  return null;
+}
+
+/**
+ * Check that a page image format can hold the profile's colour space; SVG and HTML pages
+ * are always sRGB, so callers skip them
+ * @param {IccProfile|null} profile - Output profile
+ * @param {{format: string, bitDepth?: number}} output - Page format and bits per channel
+ * @throws {Error} When a CMYK profile meets a format or bit depth that holds RGB only
+ */
+export function checkOutputFormat(profile, { format, bitDepth = 8 }) {
+  if (profile?.colorSpace !== 'CMYK') return;
+  if (!CMYK_FORMATS.includes(format)) {
+    throw new Error(`${profile.description} is a CMYK profile; use --format jpg or tiff`);
+  }
+  if (bitDepth === 16) {
+    throw new Error(`${profile.description} is a CMYK profile and --bitDepth 16 writes RGB; drop --bitDepth for CMYK output`);
+  }
+}
+
+/**
+ * Convert a hex colour from sRGB into the profile's colour space
+ * @param {string} hex - sRGB colour, e.g. '#ffffff'
+ * @param {IccProfile} profile - Output profile
+ * @returns {Promise<number[]>} Components from 0 to 1 (RGB, CMYK ink or grey)
+ */
+export async function convertColor(hex, profile) {
+  const { data } = await sharp({ create: { width: 1, height: 1, channels: 3, background: hex } })
+    .withMetadata({ icc: profile.path })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return [...data.subarray(0, COMPONENTS[profile.colorSpace])].map(v => v / 255);
+}
+
+/**
+ * Tag a PDF with an output intent that embeds the profile, if it is an output-class profile
+ * @param {import('pdf-lib').PDFDocument} pdf - Document to tag
+ * @param {IccProfile} profile - Output profile
+ * @returns {boolean} Whether the intent was written
+ */
+export function addOutputIntent(pdf, profile) {
+  if (profile.deviceClass !== 'prtr') return false;
+
+  const { context } = pdf;
+  const stream = context.flateStream(profile.data, { N: COMPONENTS[profile.colorSpace] });
+  const intent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFX',
+    OutputConditionIdentifier: PDFString.of(profile.description),
+    Info: PDFString.of(profile.description),
+    DestOutputProfile: context.register(stream)
+  });
+  pdf.catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(intent)]));
+  return true;
+}
@@ -1,48 +1,163 @@
 #!/usr/bin/env node
-/*  Collage CLI v3 – orientation, importance, color harmony, bleed, PDF   photos.push({ f, buf, w, h, imp, hue });
-  console.log(`${path.basename(f)} (W:${w}, H:${h}, Imp:${imp}, Hue:${Math.round(hue)}) %`);oklet.
+/*  Collage CLI v3 – orientation, importance, color harmony, bleed, PDF booklet
+    - Page-centric loop: generate a validated layout, score and place photos
+    - Print output: bleed, slug with crop/registration marks, PDF Trim/BleedBox
+    - Photo-book PDF: photos as image objects, facing spreads, gutter/margins, size presets
+    - Colour management: --profile converts pages and PDF into an ICC profile (CMYK too), PDF output intent
+    - Page formats JPEG/PNG/TIFF (8 or 16-bit)/WebP/AVIF; --layers writes photos plus an SVG/JSON composite
+    - SVG and responsive HTML pages over resized photo derivatives (linked or --inline)
+    - Bounded memory: header-only metadata and thumbnails before layout; photo files
+      read per page through a cache limited by --memoryBudget
+    - Reproducible books: --seed drives layout and tie-breaking randomness
+    - Chronology from EXIF/XMP capture dates, filename patterns, then mtime
+    - EXIF orientation applied to photo dimensions before scoring and fitting
+    - Recursive scanning with include/exclude globs for every format sharp decodes
+    - Chapter mode: one run of pages per subfolder, optional title pages
+    - Manifest (JSON/YAML/CSV): importance, caption, place, focus, pinned page, large, exclude
+    - Cover crops centered on manifest focus or sharp attention/entropy, stored per placement
+    - Fit policy (--fit, --pageFit, manifest fit): cover by default, contain or blurred smart fill
+    - Grid rows/cols follow the page aspect (or --cols/--rows) so block ratios hold on paper
+    - Layout engines: grid, justified rows, column masonry (exact photo ratios)
+    - Template library (--template): named or file-based page layouts, rotated page by page
+    - Page-wide photo/block assignment (Hungarian) with per-page aspect-ratio loss summary
+    - Photo-aware layouts: candidate grids are scored against the coming photos, best one kept
+    - Configurable scoring: weights/thresholds from --scoring and --weight, plugin criteria
+    - Near-duplicate detection (dHash) with --dedupe report/drop, keeping the sharpest or largest
+    - Image quality: effective DPI per placement (--minDpi warn/refuse), blur and exposure in scoring
+    - Colour harmony in OKLab/OKLCH: circular hue order, palette gradient or palette groups
+    - --bg auto / --borderColor auto: page background and frame colours from the page palette
+    - Text layer: photo captions from templates (--caption), page header/footer with page numbers
 ----------------------------------------------------------------*/
 import { Command } from 'commander';
 import fg from 'fast-glob';
 import sharp from 'sharp';
 import { Vibrant } from 'node-vibrant/node';
-import { PDFDocument } from 'pdf-lib';
-import fs from 'node:fs';
 import fsp from 'node:fs/promises';
 import path from 'node:path';
-import { generateLayout, validateLayout, generateLayoutWithValidation } from './layout.js';
+import {
+  generateLayout, validateLayout, generateLayoutWithValidation,
+  generateJustifiedLayout, generateMasonryLayout, gridShapes, LAYOUT_ENGINES, RATIO_TOLERANCE
+} from './layout.js';
 import { calculatePositions, createGridConfig, formatPosition } from './pos.js';
-import { renderCollageToFile } from './render.js';
+import { renderCollageToFile, photoFrame, outputExtension, FIT_MODES, PAGE_FORMATS } from './render.js';
+import { WEB_FORMATS } from './web.js';
+import { createPhotoCache } from './cache.js';
+import { exportLayers, LAYER_DESCRIPTIONS } from './layers.js';
+import { createRandom, generateSeed } from './random.js';
+import { resolveCaptureDate, DATE_SOURCES } from './date.js';
+import { loadManifest, lookupManifest } from './manifest.js';
+import { focusCrop, saliencyCrop, CROP_STRATEGIES } from './crop.js';
+import { resolveTemplates, templateLayout, BUILTIN_TEMPLATES } from './templates.js';
+import { solveAssignment, aspectLoss, summarizeLoss, ASSIGN_STRATEGIES } from './assign.js';
+import { loadScoringConfig, loadCriteria, createScorer, blockCells } from './scoring.js';
+import { loadThumbnail, loadGreyProxy, analyzeQuality, effectiveDpi, blockDpi, LOW_RES_POLICIES } from './quality.js';
+import {
+  paletteFromVibrant, circularMeanHue, orderByHue, orderByGradient, groupByPalette, pageColors, HARMONY_MODES
+} from './color.js';
+import { differenceHash, groupDuplicates, pickKeeper, hashDistance, DEDUPE_POLICIES, DEDUPE_KEEP } from './dedupe.js';
+import { buildPhotoBook, BOOK_PRESETS } from './pdf.js';
+import { loadIccProfile, checkOutputFormat } from './icc.js';
+import { formatText, contrastColor, CAPTION_POSITIONS, DEFAULT_FONT } from './text.js';
 
 // Cell size will be calculated based on page dimensions and grid size
 /* ---------- CLI ---------- */
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
 const cli = new Command('collage');
 cli.version('3.0.0')
   .description('Create beautiful photo collages with smart layout and professional print features')
   .requiredOption('-i, --input <dir>', 'input directory containing photos')
   .option('-o, --output <dir>', 'output directory', './out')
+  .option('-r, --recursive', 'scan subfolders of the input directory')
+  .option('--include <glob>', 'only use files matching glob (repeatable)', collect, [])
+  .option('--exclude <glob>', 'skip files matching glob (repeatable)', collect, [])
+  .option('--chapters', 'start a new chapter of pages for each subfolder (implies --recursive)')
+  .option('--chapterTitles', 'add a title page with the folder name before each chapter')
+  .option('--manifest <file>', 'per-photo settings file (.json, .yaml or .csv)')
+  .option('--fit <mode>', `photo fit: ${FIT_MODES.join('|')} (auto contains when ratios are within --fitThreshold)`, 'cover')
+  .option('--fitThreshold <ratio>', 'relative aspect difference auto fit still contains', v => +v, 0.5)
+  .option('--pageFit <page=mode>', 'fit mode for one page, e.g. 1=contain (repeatable)', collect, [])
+  .option('--cropStrategy <strategy>', `crop for photos without a focus: ${CROP_STRATEGIES.join('|')}`, 'attention')
   .option('-s, --size <WxH>', 'page size (e.g., 24x36in, 300x400mm, 1920x1080px)', '24x36in')
   .option('--dpi <n>', v => +v, 300)
-  .option('--bg <hex>', '#ffffff')
+  .option('--bg <hex|auto>', 'page background colour, or auto to derive it per page from the photos', '#ffffff')
   .option('--border <px>', v => +v, 0)
-  .option('--borderColor <hex>', '#ffffff')
-  .option('-g, --grid <n>', v => +v, 3)
-  .option('--harmony', 'order by dominant hue')
+  .option('--borderColor <hex|auto>', 'border colour, or auto for a frame colour matching each page', '#000000')
+  .option('-g, --grid <n>', 'grid cells along the shorter page edge', v => +v, 3)
+  .option('--layout <engine>', `layout engine: ${LAYOUT_ENGINES.join('|')}`, 'grid')
+  .option('--template <name|file>', `page template(s), comma-separated to rotate: ${Object.keys(BUILTIN_TEMPLATES).join('|')}|all|file.json|file.yaml`)
+  .option('--cols <n>', 'grid columns (overrides the page-aspect default)', v => +v)
+  .option('--rows <n>', 'grid rows (overrides the page-aspect default)', v => +v)
+  .option('--assign <strategy>', `photo-to-block assignment: ${ASSIGN_STRATEGIES.join('|')}`, 'optimal')
+  .option('--scoring <file>', 'scoring config (.json or .yaml): weights, thresholds, criteria plugins')
+  .option('--weight <name=value>', 'scoring weight for one criterion, e.g. aspect=0.6 (repeatable)', collect, [])
+  .option('--criteria <module>', 'JS module exporting extra scoring criteria (repeatable)', collect, [])
+  .option('--dedupe <policy>', `near-duplicate handling: ${DEDUPE_POLICIES.join('|')}`, 'off')
+  .option('--dedupeKeep <metric>', `photo kept from a duplicate group: ${DEDUPE_KEEP.join('|')}`, 'sharpness')
+  .option('--dedupeThreshold <bits>', 'max differing hash bits (of 64) for a near-duplicate', v => +v, 6)
+  .option('--minDpi <n>', 'lowest effective DPI a photo may print at', v => +v, 150)
+  .option('--lowRes <policy>', `placements below --minDpi: ${LOW_RES_POLICIES.join('|')}`, 'warn')
+  .option('--harmony [mode]', `order by colour: ${HARMONY_MODES.join('|')} (hue when no mode is given)`)
+  .option('--caption [template]', 'caption each photo: {caption} {date} {place} {file} ({caption} when no template is given)')
+  .option('--captionPosition <pos>', `caption position: ${CAPTION_POSITIONS.join('|')} (top and bottom overlay the photo)`, 'bottom')
+  .option('--header <template>', 'page header: {book} {chapter} {page}')
+  .option('--footer <template>', 'page footer, e.g. "{book} · {page}"')
+  .option('--book <name>', 'book name for {book} in headers and footers')
+  .option('--textSize <pt>', 'caption, header and footer font size in points', v => +v, 9)
+  .option('--textColor <hex|auto>', 'text colour; auto is white on a scrim, otherwise contrasting the page', 'auto')
+  .option('--scrim <opacity>', 'opacity of the band behind captions and page text (0 for none)', v => +v, 0.5)
+  .option('--font <family>', 'font family list for captions and page text', DEFAULT_FONT)
   .option('--dateSort <order>', 'sort by date: asc (oldest first) or desc (newest first)', 'asc')
+  .option('--dateSource <source>', `capture date source: ${DATE_SOURCES.join('|')}`, 'auto')
   .option('--bleed <mm|in>', 'add bleed + crop marks (e.g. 3mm, 0.125in)')
+  .option('--slug <mm|in>', 'slug area outside the bleed for printer marks', '0.25in')
+  .option('--centerMarks', 'add registration marks at the center of each edge')
+  .option('--no-marks', 'add bleed without crop and registration marks')
+  .option('--format <format>', `page format: ${PAGE_FORMATS.join('|')}`, 'jpg')
+  .option('--quality <n>', 'JPEG, WebP and AVIF quality (1-100), also used for photos in booklet.pdf and SVG/HTML pages', v => +v, 92)
+  .option('--bitDepth <bits>', 'bits per channel for TIFF and PNG pages: 8 or 16 (an 8-bit composite stored as 16-bit)', v => +v, 8)
+  .option('--memoryBudget <mb>', 'memory for photos read while rendering, in MB', v => +v, 256)
+  .option('--inline', 'embed photos in SVG/HTML pages as data URIs instead of a folder per page')
+  .option('--layers <kind>', `also write each page's photos as files with a ${LAYER_DESCRIPTIONS.join('|')} composite`)
   .option('--pdf', 'generate booklet.pdf')
+  .option('--profile <icc>', 'output ICC profile file; pages and booklet.pdf are converted into it (CMYK profiles give CMYK output)')
+  .option('--preset <name>', `print-on-demand book size (sets --size, --bleed, --margins): ${Object.keys(BOOK_PRESETS).join('|')}`)
+  .option('--spreads', 'lay facing pages side by side in booklet.pdf (page 1 alone on the right)')
+  .option('--gutter <mm|in>', 'gap between the facing pages of a spread')
+  .option('--margins <inside[,outside]>', 'booklet.pdf live-area margins, inside at the binding (e.g. 15mm,10mm)')
   .option('--json', 'output JSON layout files instead of rendering images')
+  .option('--seed <value>', 'seed for reproducible layouts (random when omitted)')
   .option('--padding <n>', 'padding between photos in pixels', '0')
   .option('--borderWidth <n>', 'border width around photos in pixels', '0')
   .parse();
 const opt = cli.opts();
 
+// A preset fills in the print geometry the command line leaves unset
+if (opt.preset) {
+  const preset = BOOK_PRESETS[opt.preset];
+  if (!preset) {
+    throw new Error(`Unknown preset: ${opt.preset}. Use one of ${Object.keys(BOOK_PRESETS).join(', ')}`);
+  }
+  for (const key of ['size', 'bleed', 'margins']) {
+    if (cli.getOptionValueSource(key) !== 'cli') opt[key] = preset[key];
+  }
+}
+
 /* ---------- utils ---------- */
 const mm = v => v * opt.dpi / 25.4;                               // mm➜px
 const inch = v => v * opt.dpi;                                    // in➜px
-const parseBleed = b => b?.endsWith('mm') ? mm(+b.slice(0, -2))
+const point = v => v * opt.dpi / 72;                              // pt➜px
+const parseLength = b => b?.endsWith('mm') ? mm(+b.slice(0, -2))
   : b?.endsWith('in') ? inch(+b.slice(0, -2)) : 0;
-const BLEED = parseBleed(opt.bleed) || 0;
+const BLEED = Math.round(parseLength(opt.bleed) || 0);
+// Marks live in a slug outside the bleed, so it only exists when marks are drawn
+const SLUG = BLEED && opt.marks ? Math.round(parseLength(opt.slug) || 0) : 0;
+// Booklet geometry: spread gutter and live-area margins (outside defaults to inside)
+const GUTTER = Math.round(parseLength(opt.gutter) || 0);
+const [INSIDE = 0, OUTSIDE = INSIDE] = (opt.margins || '').split(',').filter(Boolean)
+  .map(v => Math.round(parseLength(v.trim()) || 0));
 const parseSize = (str, dpi) => {
   if (!str) {
     throw new Error('Size parameter is required. Use --size option (e.g., --size 24x36in)');
@@ -52,23 +167,27 @@ const parseSize = (str, dpi) => {
     throw new Error(`Invalid size format: ${str}. Use format like 24x36in, 300x400mm, or 1920x1080px`);
   }
   const mul = m[5] === 'px' ? 1 : m[5] === 'in' ? dpi : dpi / 25.4;
-  return { W: Math.round(+m[1] * mul) + BLEED * 2, H: Math.round(+m[3] * mul) + BLEED * 2 };
+  return { W: Math.round(+m[1] * mul) + (BLEED + SLUG) * 2, H: Math.round(+m[3] * mul) + (BLEED + SLUG) * 2 };
 };
 const { W: PAGE_W, H: PAGE_H } = parseSize(opt.size, opt.dpi);
+// Trim area photos are laid out in; quality scoring measures block size against it
+const TRIM_AREA = (PAGE_W - (BLEED + SLUG) * 2) * (PAGE_H - (BLEED + SLUG) * 2);
 
-// RGB to HSV conversion utility
-const rgbToHsv = (r, g, b) => {
-  r /= 255; g /= 255; b /= 255;
-  const max = Math.max(r, g, b), min = Math.min(r, g, b);
-  const diff = max - min;
-  let h = 0;
-  if (diff !== 0) {
-    if (max === r) h = ((g - b) / diff) % 6;
-    else if (max === g) h = (b - r) / diff + 2;
-    else h = (r - g) / diff + 4;
-  }
-  return [h * 60, max === 0 ? 0 : diff / max, max];
-};
+// Every random decision draws from this generator so a seed recreates the book
+const SEED = opt.seed ?? generateSeed();
+const random = createRandom(SEED);
+
+// Printer marks configuration shared by rendering, JSON output and the PDF boxes
+const PRINT_MARKS = SLUG > 0 ? {
+  bleed: BLEED,
+  slug: SLUG,
+  dpi: opt.dpi,
+  centerMarks: !!opt.centerMarks
+} : null;
+
+// Displayed dimensions: EXIF orientations 5-8 rotate by 90°, swapping width and height
+const orientedSize = ({ width, height, orientation = 1 }) =>
+  orientation >= 5 ? { w: height, h: width } : { w: width, h: height };
 
 // Hex color to RGB object conversion
 const hexToRgb = (hex) => {
@@ -80,23 +199,153 @@ const hexToRgb = (hex) => {
   } : { r: 255, g: 255, b: 255 }; // default to white if invalid
 };
 
+// File extensions per sharp input format; only formats this sharp build can read are scanned
+const FORMAT_EXTENSIONS = {
+  jpeg: ['jpg', 'jpeg', 'jpe'],
+  png: ['png'],
+  webp: ['webp'],
+  tiff: ['tif', 'tiff'],
+  heif: ['heic', 'heif', 'avif'],
+  gif: ['gif'],
+  jp2k: ['jp2', 'j2k']
+};
+const IMAGE_EXTENSIONS = Object.entries(FORMAT_EXTENSIONS)
+  .filter(([id]) => sharp.format[id]?.input?.file)
+  .flatMap(([, exts]) => exts);
+const isImageFile = f => IMAGE_EXTENSIONS.includes(path.extname(f).slice(1).toLowerCase());
+
 /* ---------- scan + analyse photos ---------- */
-const files = (await fg(['*.jpg', '*.jpeg', '*.png'],
-  { cwd: opt.input, absolute: true }));
+const extensionGlob = `*.{${IMAGE_EXTENSIONS.join(',')}}`;
+const recursive = opt.recursive || opt.chapters;
+const scanPatterns = opt.include.length ? opt.include
+  : [recursive ? `**/${extensionGlob}` : extensionGlob];
+const manifest = opt.manifest ? await loadManifest(opt.manifest) : null;
+const scanned = (await fg(scanPatterns, {
+  cwd: opt.input,
+  absolute: true,
+  onlyFiles: true,
+  caseSensitiveMatch: false,
+  deep: recursive ? Infinity : 0, // 0 keeps include globs from reaching into subfolders
+  ignore: opt.exclude
+})).filter(isImageFile);
+const files = scanned.filter(f => !lookupManifest(manifest, f, opt.input)?.exclude);
+if (files.length < scanned.length) {
+  console.log(`🚫 Excluded ${scanned.length - files.length} photo(s) by manifest`);
+}
+
+// Directory listing order varies by filesystem; a stable base order keeps seeded runs identical
+files.sort();
+
+if (!files.length) throw 'No images found';
+// Per-page fit overrides from --pageFit 3=smart
+const PAGE_FITS = new Map(opt.pageFit.map(spec => {
+  const [pageSpec, mode] = spec.split('=');
+  if (!(+pageSpec >= 1) || !FIT_MODES.includes(mode)) {
+    throw new Error(`Invalid --pageFit: ${spec}. Use <page>=<${FIT_MODES.join('|')}>`);
+  }
+  return [+pageSpec, mode];
+}));
+if (!LAYOUT_ENGINES.includes(opt.layout)) {
+  throw new Error(`Invalid layout engine: ${opt.layout}. Use one of ${LAYOUT_ENGINES.join(', ')}`);
+}
+if (opt.template && opt.layout !== 'grid') {
+  throw new Error(`--template uses the grid engine; drop --layout ${opt.layout}`);
+}
+const TEMPLATES = opt.template ? await resolveTemplates(opt.template) : [];
+if (!ASSIGN_STRATEGIES.includes(opt.assign)) {
+  throw new Error(`Invalid assignment strategy: ${opt.assign}. Use one of ${ASSIGN_STRATEGIES.join(', ')}`);
+}
+const SCORING = await loadScoringConfig({ file: opt.scoring, weights: opt.weight, criteria: opt.criteria });
+const CRITERIA = await loadCriteria(SCORING.criteria);
+const scorer = createScorer(SCORING, CRITERIA);
+// Output colour space: pages are tagged sRGB unless a profile is given
+const PROFILE = opt.profile ? await loadIccProfile(opt.profile) : null;
+if (PROFILE) {
+  console.log(`🎨 Output profile: ${PROFILE.description} (${PROFILE.colorSpace})`);
+}
+if (!PAGE_FORMATS.includes(opt.format)) {
+  throw new Error(`Invalid format: ${opt.format}. Use one of ${PAGE_FORMATS.join(', ')}`);
+}
+if (!(opt.quality >= 1 && opt.quality <= 100)) {
+  throw new Error(`Invalid --quality: ${opt.quality}. Use 1-100`);
+}
+if (![8, 16].includes(opt.bitDepth)) {
+  throw new Error(`Invalid --bitDepth: ${opt.bitDepth}. Use 8 or 16`);
+}
+// Only JPEG and TIFF hold CMYK, and 16-bit output stays RGB; SVG and HTML pages are always sRGB
+const WEB_PAGES = WEB_FORMATS.includes(opt.format);
+if (!WEB_PAGES) checkOutputFormat(PROFILE, opt);
+if (opt.layers && !LAYER_DESCRIPTIONS.includes(opt.layers)) {
+  throw new Error(`Invalid --layers: ${opt.layers}. Use one of ${LAYER_DESCRIPTIONS.join(', ')}`);
+}
+if (opt.layers && WEB_PAGES) {
+  throw new Error(`--layers writes photos as image files; use an image --format with it, not ${opt.format}`);
+}
+const PAGE_EXTENSION = outputExtension(opt.format);
+if (!FIT_MODES.includes(opt.fit)) {
+  throw new Error(`Invalid fit mode: ${opt.fit}. Use one of ${FIT_MODES.join(', ')}`);
+}
+if (!CROP_STRATEGIES.includes(opt.cropStrategy)) {
+  throw new Error(`Invalid crop strategy: ${opt.cropStrategy}. Use one of ${CROP_STRATEGIES.join(', ')}`);
+}
+if (!DEDUPE_POLICIES.includes(opt.dedupe)) {
+  throw new Error(`Invalid dedupe policy: ${opt.dedupe}. Use one of ${DEDUPE_POLICIES.join(', ')}`);
+}
+if (!DEDUPE_KEEP.includes(opt.dedupeKeep)) {
+  throw new Error(`Invalid dedupe keep metric: ${opt.dedupeKeep}. Use one of ${DEDUPE_KEEP.join(', ')}`);
+}
+// --harmony alone keeps the original hue ordering
+const HARMONY = opt.harmony === true ? 'hue' : opt.harmony || null;
+if (HARMONY && !HARMONY_MODES.includes(HARMONY)) {
+  throw new Error(`Invalid harmony mode: ${HARMONY}. Use one of ${HARMONY_MODES.join(', ')}`);
+}
+// Auto page colours need the same swatches as harmony
+const AUTO_COLORS = opt.bg === 'auto' || opt.borderColor === 'auto';
+const NEEDS_PALETTE = !!HARMONY || AUTO_COLORS;
+if (!LOW_RES_POLICIES.includes(opt.lowRes)) {
+  throw new Error(`Invalid low resolution policy: ${opt.lowRes}. Use one of ${LOW_RES_POLICIES.join(', ')}`);
+}
+if (!DATE_SOURCES.includes(opt.dateSource)) {
+  throw new Error(`Invalid date source: ${opt.dateSource}. Use one of ${DATE_SOURCES.join(', ')}`);
+}
+// --caption alone prints the manifest caption
+const CAPTION = opt.caption === true ? '{caption}' : opt.caption || null;
+if (!CAPTION_POSITIONS.includes(opt.captionPosition)) {
+  throw new Error(`Invalid caption position: ${opt.captionPosition}. Use one of ${CAPTION_POSITIONS.join(', ')}`);
+}
+if (!(opt.textSize > 0)) {
+  throw new Error(`Invalid --textSize: ${opt.textSize}. Use a size in points, e.g. 9`);
+}
+if (!(opt.scrim >= 0 && opt.scrim <= 1)) {
+  throw new Error(`Invalid --scrim: ${opt.scrim}. Use an opacity from 0 to 1`);
+}
+if (!(opt.memoryBudget > 0)) {
+  throw new Error(`Invalid --memoryBudget: ${opt.memoryBudget}. Use a size in MB, e.g. 256`);
+}
+const MEMORY_BUDGET = opt.memoryBudget * 1024 * 1024;
+
+// Photo files are read when their page renders, never all up front
+const photoCache = createPhotoCache(MEMORY_BUDGET);
+
+// Resolve capture dates up front; copying files resets mtime, so it is only the last resort
+const captureDates = new Map();
+for (const f of files) {
+  captureDates.set(f, await resolveCaptureDate(f, opt.dateSource));
+}
+const byCaptureDate = (a, b) => captureDates.get(a).date - captureDates.get(b).date;
 
 // Sort files by date unless harmony is enabled
-if (!opt.harmony) {
+if (!HARMONY) {
   if (opt.dateSort === 'desc') {
-    files.sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs); // Newest first
+    files.sort((a, b) => byCaptureDate(b, a)); // Newest first
   } else {
-    files.sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs); // Oldest first (default)
+    files.sort(byCaptureDate); // Oldest first (default)
   }
 } else {
   // When harmony is enabled, still sort by date first as a secondary sort
-  files.sort((a, b) => fs.statSync(a).mtimeMs - fs.statSync(b).mtimeMs);
+  files.sort(byCaptureDate);
 }
 
-if (!files.length) throw 'No images found';
 const photos = [];
 console.log(`📸 Found ${files.length} image files to process...\n`);
 
@@ -105,31 +354,111 @@ for (let i = 0; i < files.length; i++) {
   const fileProgress = Math.round(((i + 1) / files.length) * 100);
   process.stdout.write(`\r📖 Reading ${i + 1} out of ${files.length} files... (${fileProgress}%)`);
 
-  const buf = await fsp.readFile(f);
-  const { width: w, height: h } = await sharp(buf).metadata();
-  const imp = +(path.basename(f).toLowerCase().match(/imp(\d)/)?.[1] || 0);
-  const vib = opt.harmony ? await Vibrant.from(buf).getPalette() : null;
-  const hue = vib ? rgbToHsv(...vib.Vibrant.rgb)[0] : 0;
-  photos.push({ f, buf, w, h, imp, hue }); // Keep buf for reuse
+  try {
+    // Header-only read; the file is not kept in memory
+    const meta = await sharp(f).metadata();
+    // Decode a small thumbnail so files sharp cannot read (e.g. HEIC without codec) fail here,
+    // not at render; it also gives the quality metrics, the duplicate hash and the palette
+    const thumbnail = await loadThumbnail(f);
+    const proxy = await loadGreyProxy(thumbnail);
+    const { sharpness, exposure } = analyzeQuality(proxy);
+    const { w, h } = orientedSize(meta);
+    const entry = lookupManifest(manifest, f, opt.input);
+    const imp = entry?.importance ?? +(path.basename(f).toLowerCase().match(/imp(\d)/)?.[1] || 0);
+    // Swatches in OKLab/OKLCH; photos Vibrant finds no colour in (e.g. blank frames) have none
+    const palette = NEEDS_PALETTE ? paletteFromVibrant(await Vibrant.from(thumbnail).quality(1).getPalette()) : null;
+    const hue = palette?.hue;
+    const { date, source: dateSource } = captureDates.get(f);
+    photos.push({
+      f, w, h, imp, hue, palette, date, dateSource,
+      hash: opt.dedupe !== 'off' ? differenceHash(proxy) : undefined,
+      sharpness,
+      exposure,
+      exifOrientation: meta.orientation || 1,
+      caption: entry?.caption,
+      place: entry?.place,
+      focus: entry?.focus,
+      pinnedPage: entry?.page,
+      fit: entry?.fit,
+      mustBeLarge: !!entry?.large
+    });
+  } catch (error) {
+    console.log(`\n  ⚠️  Skipping ${path.relative(opt.input, f)}: ${error.message}`);
+  }
 }
 console.log(''); // New line after progress
 
+if (!photos.length) throw 'No readable images found';
+if (photos.length < files.length) {
+  console.log(`  ⚠️  Skipped ${files.length - photos.length} unreadable file(s)`);
+}
+
+/* ---------- near-duplicates ---------- */
+// Each group keeps its best photo; `drop` removes the rest before layout, `report` only lists them
+const duplicatePhotos = new Set();
+const duplicateGroups = opt.dedupe === 'off' ? [] : groupDuplicates(photos, opt.dedupeThreshold, opt.dedupeKeep).map(group => {
+  const members = group.map(i => photos[i]);
+  const kept = members[pickKeeper(members, opt.dedupeKeep)];
+  members.filter(p => p !== kept).forEach(p => duplicatePhotos.add(p));
+  return {
+    kept: path.relative(opt.input, kept.f),
+    duplicates: members.filter(p => p !== kept).map(p => ({
+      file: path.relative(opt.input, p.f),
+      distance: hashDistance(kept.hash, p.hash),
+      sharpness: p.sharpness,
+      width: p.w,
+      height: p.h
+    })),
+    sharpness: kept.sharpness,
+    width: kept.w,
+    height: kept.h
+  };
+});
+const droppedDuplicates = opt.dedupe === 'drop'
+  ? duplicateGroups.flatMap(group => group.duplicates.map(d => d.file))
+  : [];
+
+if (duplicateGroups.length) {
+  console.log(`🔁 ${duplicateGroups.length} near-duplicate group(s) (keep by ${opt.dedupeKeep}):`);
+  for (const group of duplicateGroups) {
+    console.log(`  ✓ ${group.kept}`);
+    for (const d of group.duplicates) {
+      console.log(`    ${opt.dedupe === 'drop' ? '✗' : '·'} ${d.file} (${d.distance} bits)`);
+    }
+  }
+  if (droppedDuplicates.length) {
+    photos.splice(0, photos.length, ...photos.filter(p => !duplicatePhotos.has(p)));
+    console.log(`🚫 Dropped ${droppedDuplicates.length} duplicate(s)`);
+  }
+} else if (opt.dedupe !== 'off') {
+  console.log('🔁 No near-duplicates found');
+}
+
 /* ---------- optional ordering ---------- */
-if (opt.harmony) photos.sort((a, b) => a.hue - b.hue);
+// Colour orderings replace the date order; groups hold about one page (--grid²) of photos
+if (HARMONY) {
+  const ordered = HARMONY === 'group' ? groupByPalette(photos, opt.grid * opt.grid)
+    : HARMONY === 'gradient' ? orderByGradient(photos)
+      : orderByHue(photos);
+  photos.splice(0, photos.length, ...ordered);
+}
 
 /* ---------- Core Functions ---------- */
 
-// Memory constraint detection
+// Memory constraint detection; photo buffers live outside the JS heap, so external memory counts too
 const checkMemoryConstraints = () => {
   const memUsage = process.memoryUsage();
   const heapUsedMB = memUsage.heapUsed / 1024 / 1024;
   const heapTotalMB = memUsage.heapTotal / 1024 / 1024;
+  const externalMB = memUsage.external / 1024 / 1024;
 
   return {
     heapUsedMB: heapUsedMB,
     heapTotalMB: heapTotalMB,
+    externalMB: externalMB,
     heapUtilization: heapUsedMB / heapTotalMB,
-    needsBatching: heapUsedMB > 512 || heapTotalMB > 1024 // Conservative thresholds
+    // Buffers well past the photo cache's budget, or a large heap
+    overBudget: externalMB > opt.memoryBudget * 2 || heapUsedMB > 512
   };
 };
 
@@ -202,18 +531,98 @@ const handleEdgeCase = (edgeCase, photoQueue, opt) => {
   }
 };
 
-// Calculate average hue for harmony scoring
-const calculateAverageHue = (photos) => {
-  if (!photos.length) return undefined;
+// Calculate average hue for harmony scoring; circular, so 350° and 10° average to red, not cyan
+const calculateAverageHue = (photos) =>
+  circularMeanHue(photos.map(p => p.hue).filter(hue => hue !== undefined));
+
+// Group photos into chapters by their folder relative to --input, in natural folder order
+const groupIntoChapters = (photos) => {
+  const byFolder = new Map();
+  for (const photo of photos) {
+    const folder = path.relative(opt.input, path.dirname(photo.f));
+    if (!byFolder.has(folder)) byFolder.set(folder, []);
+    byFolder.get(folder).push(photo);
+  }
+
+  return [...byFolder.keys()]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map((folder, index) => ({
+      index,
+      folder,
+      // Photos directly in --input form a chapter named after the input folder
+      name: folder ? folder.split(path.sep).join(' / ') : path.basename(path.resolve(opt.input)),
+      photos: byFolder.get(folder)
+    }));
+};
+
+// Pick cols x rows so cells are square on paper: `shortSide` cells run along the shorter
+// trim edge; if that leaves cells visibly non-square, the nearest finer count that fits is used
+const gridDimensions = (shortSide) => {
+  const trimW = PAGE_W - (BLEED + SLUG) * 2;
+  const trimH = PAGE_H - (BLEED + SLUG) * 2;
+  const aspect = Math.max(trimW, trimH) / Math.min(trimW, trimH);
+  const longSideFor = s => Math.max(1, Math.round(s * aspect));
+  const cellError = s => Math.abs((s * aspect) / longSideFor(s) - 1);
+
+  let short = shortSide;
+  for (let s = shortSide; s <= shortSide * 2; s++) {
+    if (cellError(s) <= RATIO_TOLERANCE) {
+      short = s;
+      break;
+    }
+  }
+
+  const long = longSideFor(short);
+  return trimW >= trimH ? { cols: long, rows: short } : { cols: short, rows: long };
+};
+
+// Cells of the nominal --grid page; block sizes are judged in these whatever grid a page uses
+const { cols: NOMINAL_COLS, rows: NOMINAL_ROWS } = gridDimensions(opt.grid);
+const NOMINAL_CELLS = NOMINAL_COLS * NOMINAL_ROWS;
+
+// Explicit --cols/--rows shape the grid cells; cells no block shape can turn into an allowed
+// ratio on paper would leave every page a uniform fallback grid, so they are refused up front
+if (opt.layout === 'grid' && (opt.cols || opt.rows)) {
+  const { cols, rows } = gridDimensions(opt.grid);
+  const gridCols = opt.cols || cols;
+  const gridRows = opt.rows || rows;
+  const cellWidth = (PAGE_W - (BLEED + SLUG) * 2) / gridCols;
+  const cellHeight = (PAGE_H - (BLEED + SLUG) * 2) / gridRows;
+  if (!gridShapes({ cellWidth, cellHeight }).length) {
+    throw new Error(`--cols ${gridCols} --rows ${gridRows} make ${(cellWidth / cellHeight).toFixed(2)}:1 cells on this page, ` +
+      `which no block shape fits to an allowed ratio. Try --cols ${cols} --rows ${rows}, or leave both out`);
+  }
+}
+
+// Templates rotate page by page; one with more blocks than photos left is skipped so no block stays empty
+let templatePages = 0;
+const reportedTemplates = new Set();
+const nextTemplate = (photosRemaining) => {
+  for (let i = 0; i < TEMPLATES.length; i++) {
+    const template = TEMPLATES[(templatePages + i) % TEMPLATES.length];
+    if (photosRemaining === null || template.blocks.length <= photosRemaining) {
+      templatePages += i + 1;
+      return template;
+    }
+  }
+  return null;
+};
 
-  const validHues = photos.filter(p => p.hue !== undefined).map(p => p.hue);
-  if (validHues.length === 0) return undefined;
+// Layouts look at no more photos than a page could plausibly hold
+const MAX_PAGE_CANDIDATES = 200;
 
-  return validHues.reduce((sum, hue) => sum + hue, 0) / validHues.length;
+// How well the coming photos fill a layout: mean block score of their best assignment, with
+// blocks left over for lack of photos scoring 0 so short queues prefer layouts they fill
+const layoutFitScore = (layout, candidates, pageContext) => {
+  const blocks = layout.slice(0, candidates.length);
+  if (!blocks.length) return 0;
+  const assigned = assignPhotos(blocks, candidates, pageContext);
+  return blocks.reduce((sum, block, i) => sum + calculatePhotoScore(assigned[i], block, pageContext), 0) / layout.length;
 };
 
-// Generate a layout for the page using enhanced validation
-const generateGrid = (page, photosRemaining = null) => {
+// Generate a layout for the page using enhanced validation; with candidate photos,
+// several valid layouts are tried and the one they fit best is kept
+const generateGrid = (page, photosRemaining = null, candidates = []) => {
   // Detect edge cases first
   const edgeCase = detectEdgeCase(photoQueue, null);
   const edgeHandling = handleEdgeCase(edgeCase, photoQueue, opt);
@@ -224,37 +633,73 @@ const generateGrid = (page, photosRemaining = null) => {
 
   // Use grid parameter from CLI, with edge case adjustments
   let gridSize = edgeHandling.gridSize || opt.grid || 6;
-  let gridCols = gridSize;
-  let gridRows = gridSize;
 
   // For the last page, optimize grid size to match remaining photos
   if (photosRemaining !== null && photosRemaining > 0) {
     const minGridSize = Math.ceil(Math.sqrt(photosRemaining));
 
     if (photosRemaining <= 4) {
-      gridCols = gridRows = Math.max(2, minGridSize);
+      gridSize = Math.max(2, minGridSize);
     } else if (photosRemaining <= 9) {
-      gridCols = gridRows = Math.max(3, minGridSize);
+      gridSize = Math.max(3, minGridSize);
     } else if (photosRemaining <= 16) {
-      gridCols = gridRows = Math.max(4, minGridSize);
+      gridSize = Math.max(4, minGridSize);
     } else if (photosRemaining <= 25) {
-      gridCols = gridRows = Math.max(5, minGridSize);
-    } else {
-      gridCols = gridRows = gridSize;
+      gridSize = Math.max(5, minGridSize);
     }
   }
 
+  // Shape the grid to the page; explicit --cols/--rows apply at the requested grid size
+  let { cols: gridCols, rows: gridRows } = gridDimensions(gridSize);
+  if (gridSize === opt.grid) {
+    gridCols = opt.cols || gridCols;
+    gridRows = opt.rows || gridRows;
+  }
+
+  // A template replaces the generated layout and brings its own grid
+  const template = nextTemplate(photosRemaining);
+  const templated = template && templateLayout(
+    template,
+    PAGE_W - (BLEED + SLUG) * 2,
+    PAGE_H - (BLEED + SLUG) * 2
+  );
+  if (templated) {
+    gridCols = templated.cols;
+    gridRows = templated.rows;
+  }
+
+  // Create grid configuration using pos.js
+  const gridConfig = createGridConfig(
+    PAGE_W,
+    PAGE_H,
+    gridCols,
+    gridRows,
+    Math.min(Number(opt.border) || 4, 8),
+    BLEED,
+    SLUG
+  );
+
   // Set up validation constraints
   const constraints = {
     minBlockVariety: 3,
     maxSingleCellPercent: 0.4,
     minLargeBlocks: 1,
     photoCount: photosRemaining,
-    specialHandling: edgeHandling.specialHandling
+    specialHandling: edgeHandling.specialHandling,
+    // Check block ratios in rendered pixels, not grid cells
+    geometry: {
+      cellWidth: gridConfig.cellWidth,
+      cellHeight: gridConfig.cellHeight,
+      padding: gridConfig.padding
+    }
   };
 
-  // Adjust constraints for edge cases
-  if (edgeHandling.specialHandling === 'single_photo') {
+  // Adjust constraints for edge cases; templates are designed as-is, so only block ratios count
+  if (templated) {
+    constraints.minBlockVariety = 1;
+    constraints.maxSingleCellPercent = 1.0;
+    constraints.minLargeBlocks = 0;
+  } else if (edgeHandling.specialHandling === 'single_photo') {
     constraints.minBlockVariety = 1;
     constraints.maxSingleCellPercent = 1.0;
     constraints.minLargeBlocks = 0;
@@ -264,17 +709,22 @@ const generateGrid = (page, photosRemaining = null) => {
   }
 
   // Generate validated layout
-  const layoutBlocks = generateLayoutWithValidation(gridRows, gridCols, constraints, 100);
-
-  // Create grid configuration using pos.js
-  const gridConfig = createGridConfig(
-    PAGE_W,
-    PAGE_H,
-    gridCols,
-    gridRows,
-    Math.min(Number(opt.border) || 4, 8),
-    BLEED
-  );
+  const lookahead = candidates.slice(0, MAX_PAGE_CANDIDATES);
+  const scoreLayout = lookahead.length
+    ? layout => layoutFitScore(layout, lookahead, {
+      pageNumber, geometry: constraints.geometry, dpi: Number(opt.dpi), pageArea: TRIM_AREA, gridCells: NOMINAL_CELLS
+    })
+    : null;
+  const layoutBlocks = templated
+    ? templated.blocks
+    : generateLayoutWithValidation(gridRows, gridCols, constraints, 100, random, scoreLayout);
+  const validation = validateLayout(layoutBlocks, constraints);
+
+  // A template that does not suit this page shape is rendered, but reported once
+  if (templated && !validation.isValid && !reportedTemplates.has(template.name)) {
+    reportedTemplates.add(template.name);
+    console.log(`\n  ⚠️  Template ${template.name} does not fit this page: ${validation.issues.join(', ')}`);
+  }
 
   // Calculate positions for all layout blocks
   const positions = calculatePositions(layoutBlocks, gridConfig);
@@ -283,9 +733,60 @@ const generateGrid = (page, photosRemaining = null) => {
     ...gridConfig,
     layoutBlocks,
     positions,
-    validation: validateLayout(layoutBlocks, constraints),
+    validation,
     edgeCase: edgeCase,
-    specialHandling: edgeHandling.specialHandling
+    specialHandling: edgeHandling.specialHandling,
+    template: template?.name
+  };
+
+  page.grid = grid;
+  return grid;
+};
+
+// Build a justified or masonry page around the next photos; each block is made for one photo
+const generateFlowGrid = (page, candidates) => {
+  const padding = Math.min(Number(opt.border) || 4, 8);
+  const usableWidth = PAGE_W - (BLEED + SLUG) * 2;
+  const usableHeight = PAGE_H - (BLEED + SLUG) * 2;
+  const { cols, rows } = gridDimensions(opt.grid);
+
+  // 1px cells let calculatePositions and the renderer handle pixel-sized blocks unchanged
+  const gridConfig = createGridConfig(PAGE_W, PAGE_H, usableWidth, usableHeight, padding, BLEED, SLUG);
+
+  // Under --lowRes refuse, photos whose block would print below --minDpi wait for a later page
+  // and the layout is rebuilt without them, so no block is left empty
+  let photos = candidates.slice(0, MAX_PAGE_CANDIDATES);
+  let flow, positions;
+  for (;;) {
+    const aspects = photos.map(p => p.w / p.h);
+    flow = opt.layout === 'justified'
+      ? generateJustifiedLayout(aspects, usableWidth, usableHeight, { rows: opt.rows || rows, padding })
+      : generateMasonryLayout(aspects, usableWidth, usableHeight, { cols: opt.cols || cols, padding });
+    positions = calculatePositions(flow.blocks, gridConfig);
+    if (opt.lowRes !== 'refuse') break;
+
+    const tooLarge = new Set(flow.blocks.filter(block => {
+      const { renderWidth, renderHeight } = positions.find(p => p.index === block.index);
+      const photo = photos[block.index];
+      return effectiveDpi({ width: photo.w, height: photo.h }, renderWidth, renderHeight, opt.dpi, true) < opt.minDpi;
+    }).map(block => photos[block.index]));
+    if (!tooLarge.size) break;
+    photos = photos.filter(p => !tooLarge.has(p));
+  }
+
+  const grid = {
+    ...gridConfig,
+    layoutBlocks: flow.blocks,
+    positions,
+    photos, // block.index points into this list
+    validation: {
+      isValid: flow.blocks.length > 0,
+      score: Math.round(flow.coverage * 100),
+      issues: [],
+      metrics: { blockCount: flow.blocks.length, coverage: flow.coverage }
+    },
+    edgeCase: 'NORMAL',
+    specialHandling: opt.layout
   };
 
   page.grid = grid;
@@ -324,114 +825,73 @@ const selectPhoto = (photoQueue, layoutBlock, pageContext = {}) => {
     }
 
     if (similarScoreIndices.length > 1) {
-      bestIndex = similarScoreIndices[Math.floor(Math.random() * similarScoreIndices.length)];
+      bestIndex = similarScoreIndices[Math.floor(random() * similarScoreIndices.length)];
     }
   }
 
   return bestIndex;
 };
 
-// Calculate weighted photo score based on multiple criteria
-const calculatePhotoScore = (photo, layoutBlock, pageContext) => {
-  const { w: spanCols, h: spanRows } = layoutBlock;
+// Pinned photos outweigh any fit score so they still claim blocks before the rest
+const PINNED_BONUS = 1000;
 
-  // Calculate individual scores
-  const aspectScore = calculateAspectCompatibility(photo, layoutBlock);
-  const importanceScore = calculateImportanceMatch(photo, layoutBlock);
-  const orientationScore = calculateOrientationMatch(photo, layoutBlock);
-  const harmonyScore = calculateHarmonyScore(photo, pageContext);
-
-  // Apply weights (40%, 30%, 20%, 10%)
-  return (aspectScore * 0.4) + (importanceScore * 0.3) + (orientationScore * 0.2) + (harmonyScore * 0.1);
+// Match all of a page's blocks to candidate photos at once, maximising the total score,
+// so the last blocks are not left with photos that crop badly
+const assignPhotos = (layoutBlocks, candidates, pageContext) => {
+  const scores = layoutBlocks.map(block => candidates.map(photo =>
+    calculatePhotoScore(photo, block, pageContext)
+    + (photo.pinnedPage === pageContext.pageNumber ? PINNED_BONUS : 0)));
+  return solveAssignment(scores).map(i => candidates[i]);
 };
 
-// Calculate aspect ratio compatibility score
-const calculateAspectCompatibility = (photo, layoutBlock) => {
-  const photoAspect = photo.w / photo.h;
-  const layoutAspect = layoutBlock.w / layoutBlock.h;
-  const aspectDiff = Math.abs(layoutAspect - photoAspect);
-
-  // Score decreases as aspect difference increases
-  return Math.max(0, 100 - (aspectDiff * 50));
-};
+// Blocks covering at least this many nominal grid cells count as large
+const LARGE_BLOCK_CELLS = 4;
 
-// Calculate importance level matching score
-const calculateImportanceMatch = (photo, layoutBlock) => {
-  const layoutSize = layoutBlock.w * layoutBlock.h;
-  const importance = photo.importance || 0;
+// Calculate weighted photo score from the active scoring config (built-in and plugin criteria)
+const calculatePhotoScore = (photo, layoutBlock, pageContext) => {
+  // Manifest "large" photos only fall back to small blocks when nothing else is left
+  if (photo.mustBeLarge && blockCells(layoutBlock, pageContext) < LARGE_BLOCK_CELLS) return 0;
 
-  // High importance photos should get large layouts
-  if (importance >= 3 && layoutSize >= 4) {
-    return 100;
-  }
-  // Low importance photos fit well in small layouts
-  if (importance <= 1 && layoutSize <= 2) {
-    return 90;
-  }
-  // Medium importance photos work well in medium layouts
-  if (importance >= 2 && layoutSize >= 2 && layoutSize <= 4) {
-    return 80;
-  }
-  // Very large layouts should prioritize high importance
-  if (layoutSize >= 6) {
-    return importance >= 4 ? 100 : Math.max(0, 60 - (4 - importance) * 15);
-  }
+  // Likewise blocks that would print a photo below --minDpi when such placements are refused
+  if (opt.lowRes === 'refuse' && pageContext.geometry
+    && blockDpi(photo, layoutBlock, pageContext.geometry, pageContext.dpi) < opt.minDpi) return 0;
 
-  // Default scoring based on size-importance correlation
-  const sizeImportanceMatch = Math.abs(layoutSize - importance);
-  return Math.max(30, 70 - sizeImportanceMatch * 10);
+  return scorer.score(photo, layoutBlock, pageContext);
 };
 
-// Calculate orientation matching score
-const calculateOrientationMatch = (photo, layoutBlock) => {
-  const photoAspect = photo.w / photo.h;
-  const layoutAspect = layoutBlock.w / layoutBlock.h;
-
-  const isPhotoLandscape = photoAspect > 1.1;
-  const isPhotoPortrait = photoAspect < 0.9;
-  const isPhotoSquare = photoAspect >= 0.9 && photoAspect <= 1.1;
-
-  const isLayoutLandscape = layoutAspect > 1.1;
-  const isLayoutPortrait = layoutAspect < 0.9;
-  const isLayoutSquare = layoutAspect >= 0.9 && layoutAspect <= 1.1;
-
-  // Perfect orientation matches
-  if (isPhotoSquare && isLayoutSquare) return 100;
-  if (isPhotoLandscape && isLayoutLandscape) return 90;
-  if (isPhotoPortrait && isLayoutPortrait) return 90;
-
-  // Acceptable matches
-  if (isPhotoSquare && !isLayoutSquare) return 70;
-  if (!isPhotoSquare && isLayoutSquare) return 60;
+// Render a photo into the specified layout block
+// Resolve the fit for one placement: manifest per photo, then --pageFit, then --fit
+const resolveFit = (photo, pageNumber, aspectDifference, isSinglePhotoPage) => {
+  const mode = photo.fit || PAGE_FITS.get(pageNumber) || opt.fit;
+  if (mode !== 'auto') return mode;
 
-  // Poor matches
-  return 30;
+  // Auto keeps the whole photo on single-photo pages or when ratios are close
+  return isSinglePhotoPage || aspectDifference <= opt.fitThreshold ? 'contain' : 'cover';
 };
 
-// Calculate visual harmony score
-const calculateHarmonyScore = (photo, pageContext) => {
-  // Base harmony score
-  let score = 50;
-
-  // If harmony is enabled, use hue information
-  if (opt.harmony && photo.hue !== undefined) {
-    const photoHue = photo.hue;
-
-    // If we have context about other photos on the page, calculate harmony
-    if (pageContext.averageHue !== undefined) {
-      const hueDiff = Math.abs(photoHue - pageContext.averageHue);
-      const normalizedDiff = Math.min(hueDiff, 360 - hueDiff); // Handle hue wrap-around
-
-      // Closer hues get higher scores
-      score = Math.max(20, 100 - (normalizedDiff / 180) * 80);
-    }
-  }
-
-  return score;
+// Local calendar date for captions, e.g. 2024-07-04
+const formatDate = d =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+
+// Caption layer of a photo; its colour is set once the page background is known (see outputPage)
+const photoCaption = (photo) => {
+  if (!CAPTION) return undefined;
+  const text = formatText(CAPTION, {
+    caption: photo.caption,
+    date: formatDate(photo.date),
+    place: photo.place,
+    file: path.parse(photo.f).name
+  });
+  return text ? {
+    text,
+    position: opt.captionPosition,
+    size: Math.round(point(opt.textSize)),
+    scrim: opt.scrim,
+    font: opt.font === DEFAULT_FONT ? undefined : opt.font
+  } : undefined;
 };
 
-// Render a photo into the specified layout block
-const renderPhoto = async (page, photo, layoutBlock, totalPhotosOnPage) => {
+const renderPhoto = async (page, photo, layoutBlock, totalPhotosOnPage, pageNumber) => {
   const { index } = layoutBlock;
 
   // Get the pre-calculated position for this layout block
@@ -447,32 +907,76 @@ const renderPhoto = async (page, photo, layoutBlock, totalPhotosOnPage) => {
     return { x, y, width: 0, height: 0 };
   }
 
+  // A caption below the photo takes a band off the block, as render.js draws it
+  const caption = photoCaption(photo);
+  const padding = parseInt(opt.padding || 0);
+  const frame = photoFrame({ x, y, w: renderWidth, h: renderHeight, caption },
+    { padding, borderWidth: parseInt(opt.borderWidth || 0) });
+  const photoHeight = frame.height + padding * 2;
+
   // Calculate aspect ratios for matching
   const photoAspectRatio = photo.w / photo.h;
-  const cellAspectRatio = renderWidth / renderHeight;
+  const cellAspectRatio = renderWidth / photoHeight;
 
   // Check if this is a single photo page (one photo per page)
   const isSinglePhotoPage = totalPhotosOnPage === 1;
 
-  // Check if aspect ratios are close (within 50% difference)
+  // Relative aspect difference between photo and block
   const aspectDifference = Math.abs(photoAspectRatio - cellAspectRatio) / cellAspectRatio;
 
-  // Force aspect match for single photo pages or when ratios are close
-  const aspectMatch = isSinglePhotoPage || aspectDifference <= 0.5;
+  // Only cover fills the block edge to edge; contain and smart keep the whole photo
+  const fit = resolveFit(photo, pageNumber, aspectDifference, isSinglePhotoPage);
+  const aspectMatch = fit !== 'cover';
+
+  // Print resolution reached here; contain and smart scale the whole photo inside the block
+  const dpi = effectiveDpi({ width: photo.w, height: photo.h }, renderWidth, photoHeight, opt.dpi, aspectMatch);
+  if (dpi < opt.minDpi && opt.lowRes === 'refuse') {
+    return { x, y, width: 0, height: 0, effectiveDpi: dpi, refused: true };
+  }
+
+  // Cover fits crop the photo; record the window so JSON renders reproduce it exactly.
+  // Blocks already at the photo's ratio (flow layouts) need no crop.
+  const crop = aspectMatch || aspectDifference < 0.01 ? undefined : photo.focus
+    ? focusCrop(photo.w, photo.h, renderWidth, photoHeight, photo.focus)
+    : await saliencyCrop(await photoCache.load(photo.f), photo.w, photo.h, renderWidth, photoHeight, opt.cropStrategy);
 
   // Add to page files array for JSON output or Canvas rendering
-  // Store buffer data for performance improvement
   page.files.push({
     input: photo.f,
-    inputBuffer: photo.buf, // Add buffer for reuse
     x: x,
     y: y,
     w: renderWidth,
     h: renderHeight,
-    aspectMatch: aspectMatch // Add aspect ratio matching flag
+    aspectMatch: aspectMatch, // Add aspect ratio matching flag
+    fit,
+    crop,
+    capturedAt: photo.date.toISOString(),
+    dateSource: photo.dateSource,
+    importance: photo.importance,
+    caption: caption ?? photo.caption,
+    place: photo.place,
+    focus: photo.focus,
+    page: photo.pinnedPage,
+    large: photo.mustBeLarge || undefined,
+    effectiveDpi: dpi,
+    palette: photo.palette ? {
+      dominant: photo.palette.dominant.hex,
+      hue: photo.palette.hue === undefined ? undefined : Math.round(photo.palette.hue),
+      swatches: photo.palette.swatches.map(({ name, hex, share, lch }) => ({
+        name, hex,
+        share: Math.round(share * 1000) / 1000,
+        oklch: lch.map(v => Math.round(v * 1000) / 1000)
+      }))
+    } : undefined,
+    sharpness: photo.sharpness,
+    exposure: photo.exposure
   });
 
-  return { x, y, width: renderWidth, height: renderHeight };
+  return {
+    x, y, width: renderWidth, height: renderHeight,
+    aspectLoss: aspectLoss(photoAspectRatio, cellAspectRatio),
+    effectiveDpi: dpi
+  };
 };
 
 
@@ -481,10 +985,26 @@ await fsp.mkdir(opt.output, { recursive: true });
 const outDir = path.join(opt.output, 'collage-' + new Date().toISOString().replace(/[:.]/g, '-'));
 await fsp.mkdir(outDir);
 
+// Full duplicate groups live beside the pages; each page carries the summary
+if (duplicateGroups.length) {
+  await fsp.writeFile(path.join(outDir, 'duplicates.json'), JSON.stringify({
+    policy: opt.dedupe,
+    keep: opt.dedupeKeep,
+    threshold: opt.dedupeThreshold,
+    groups: duplicateGroups,
+    dropped: droppedDuplicates
+  }, null, 2));
+}
+const dedupeMetadata = opt.dedupe === 'off' ? undefined : {
+  policy: opt.dedupe,
+  groups: duplicateGroups.length,
+  dropped: droppedDuplicates
+};
+
 /* ---------- Main Processing Loop ---------- */
 // 1. Load all photo meta (fn, imp, orientation) into a queue
 
-const photoQueue = photos.map(photo => {
+const allPhotos = photos.map(photo => {
   const filename = path.basename(photo.f);
   const orientation = photo.w >= photo.h ? 'landscape' : 'portrait';
 
@@ -496,102 +1016,87 @@ const photoQueue = photos.map(photo => {
     ...photo
   };
 });
-console.log(`✓ ${photoQueue.length} photos loaded into queue`);
-
-const pages = [];
-const layoutData = []; // For JSON output
-let pageNumber = 0;
-const totalPhotos = photoQueue.length;
-
-// Main page-centric processing loop
-while (photoQueue.length > 0) {
-  pageNumber++;
-  const startTime = Date.now();
-  const totalProcessed = totalPhotos - photoQueue.length;
-  const progress = Math.round((totalProcessed / totalPhotos) * 100);
-
-  // Check memory constraints
-  const memCheck = checkMemoryConstraints();
-  if (memCheck.needsBatching && photoQueue.length > 100) {
-    console.log(`  ⚠️  High memory usage detected (${memCheck.heapUsedMB.toFixed(1)}MB), consider processing in smaller batches`);
-  }
+console.log(`✓ ${allPhotos.length} photos loaded into queue`);
 
-  // 2. Create a new page with intelligent planning
-  // console.log(`📄 Creating page ${pageNumber} (${photoQueue.length} photos remaining)`);
-  const page = createPage();
-  const pageFile = path.join(outDir, `page-${pageNumber}.jpg`);
+// Plugin criteria may measure photos up front so their per-block scores stay cheap
+for (const criterion of CRITERIA) {
+  if (criterion.prepare) await criterion.prepare(allPhotos);
+}
+if (CRITERIA.length) {
+  console.log(`⚖️  Scoring criteria: ${Object.entries(scorer.weights).map(([name, w]) => `${name} ${w}`).join(', ')}`);
+}
 
-  // 3. Generate smart grid layout for this page
-  let grid;
-  try {
-    grid = generateGrid(page, photoQueue.length);
-
-    // Log validation results
-    if (grid.validation) {
-      const v = grid.validation;
-      // if (v.isValid) {
-      //   console.log(`  ✅ Layout validated (score: ${v.score})`);
-      // } else {
-      //   console.log(`  ⚠️  Layout validation issues: ${v.issues.join(', ')}`);
-      // }
-    }
-  } catch (error) {
-    console.log(`  ❌ Grid generation failed: ${error.message}`);
-    // Create emergency fallback
-    grid = {
-      layoutBlocks: [{ x: 0, y: 0, w: 1, h: 1, index: 0 }],
-      positions: [{ x: 0, y: 0, width: PAGE_W, height: PAGE_H, renderWidth: PAGE_W, renderHeight: PAGE_H, index: 0 }]
-    };
-  }
+// Active scoring config, echoed into every JSON page so a layout can be traced to its trade-offs
+const scoringMetadata = {
+  weights: scorer.weights,
+  thresholds: SCORING.thresholds,
+  criteria: CRITERIA.map(c => c.name),
+  modules: SCORING.criteria
+};
+console.log(`🎲 Layout seed: ${SEED}`);
 
-  let photosOnPage = 0;
-  const layoutBlocks = grid.layoutBlocks || [];
-  const maxPhotosOnPage = Math.min(layoutBlocks.length, photoQueue.length);
+// Chapter mode lays out each subfolder on its own pages; otherwise one chapter holds every photo
+const chapters = opt.chapters ? groupIntoChapters(allPhotos)
+  : [{ index: 0, folder: '', name: null, photos: allPhotos }];
+if (opt.chapters) {
+  console.log(`📚 ${chapters.length} chapters: ${chapters.map(c => c.name).join(', ')}`);
+}
 
-  // 4. Smart photo assignment using enhanced selection
-  const pageContext = {
-    pageNumber: pageNumber,
-    totalPages: Math.ceil(totalPhotos / (opt.grid * opt.grid)),
-    photosRemaining: photoQueue.length,
-    averageHue: opt.harmony ? calculateAverageHue(photoQueue.slice(0, maxPhotosOnPage)) : undefined
+const pages = [];
+const layoutData = []; // For JSON output
+const bookPages = []; // Page layouts for booklet.pdf
+let pageNumber = 0;
+const totalPhotos = allPhotos.length;
+let photosPlaced = 0;
+let photoQueue = []; // Photos of the chapter being laid out
+const unplacedPhotos = []; // Photos no page could hold, listed in the run summary
+const bookLosses = []; // Aspect-ratio loss of every placement, for the run summary
+
+// Auto-mode colours for a page, recorded in its metadata so JSON renders reproduce them
+const autoPageColors = (placedPhotos) => {
+  if (!AUTO_COLORS) return {};
+  const colors = pageColors(placedPhotos.map(p => p.palette).filter(Boolean));
+  if (!colors) return {};
+  return {
+    background: opt.bg === 'auto' ? colors.background : undefined,
+    borderColor: opt.borderColor === 'auto' ? colors.borderColor : undefined
   };
+};
 
-  for (let blockIndex = 0; blockIndex < maxPhotosOnPage; blockIndex++) {
-    const layoutBlock = layoutBlocks[blockIndex];
-
-    try {
-      // Enhanced photo selection with weighted scoring
-      const selectedPhotoIndex = selectPhoto(photoQueue, layoutBlock, pageContext);
-      if (selectedPhotoIndex === -1) {
-        console.log(`  ⚠️  No suitable photo found for block ${blockIndex}`);
-        continue;
-      }
-
-      const selectedPhoto = photoQueue[selectedPhotoIndex];
-
-      // Render photo into the layout block
-      await renderPhoto(page, selectedPhoto, layoutBlock, maxPhotosOnPage);
-
-      // Remove photo from queue
-      photoQueue.splice(selectedPhotoIndex, 1);
-      photosOnPage++;
-
-    } catch (error) {
-      console.log(`  ❌ Error processing block ${blockIndex}: ${error.message}`);
-      // Continue with next block
-    }
-  }
+// Text over a scrim is white; text on the page itself contrasts the background
+const textColor = (background, onScrim) =>
+  opt.textColor !== 'auto' ? opt.textColor : onScrim && opt.scrim > 0 ? '#ffffff' : contrastColor(background);
+
+// Header or footer of a page; title pages carry none
+const pageText = (template, metadata, background) => {
+  if (!template || metadata.type === 'title') return undefined;
+  const text = formatText(template, { book: opt.book, chapter: metadata.chapter?.name, page: metadata.pageNumber });
+  return text ? {
+    text,
+    size: Math.round(point(opt.textSize)),
+    color: textColor(background, true),
+    scrim: opt.scrim,
+    font: opt.font === DEFAULT_FONT ? undefined : opt.font
+  } : undefined;
+};
 
-  // 5. Page completion and validation
-  const pageTime = Date.now() - startTime;
-  const timePerPhoto = photosOnPage > 0 ? (pageTime / photosOnPage).toFixed(0) : 0;
+// Write a finished page as a JSON layout entry or a rendered image
+const outputPage = async (page, pageFile, metadata) => {
+  const marks = PRINT_MARKS && {
+    ...PRINT_MARKS,
+    label: `${path.basename(pageFile)}  ${opt.size}  bleed ${opt.bleed}  page ${metadata.pageNumber}`
+  };
 
-  process.stdout.write(`\r✓ Page ${pageNumber}: ${photosOnPage} photos (${timePerPhoto}ms/photo), ${Math.round(((totalPhotos - photoQueue.length) / totalPhotos) * 100)}%`);
+  // Auto colours are chosen per page; pages without palettes (e.g. title pages) fall back to white
+  const background = opt.bg === 'auto' ? metadata.background || '#ffffff' : opt.bg;
+  const borderColor = opt.borderColor === 'auto' ? metadata.borderColor || '#000000' : opt.borderColor;
 
-  // Performance validation
-  if (pageTime > 2000) {
-    console.log(`\n  ⚠️  Page generation took ${(pageTime / 1000).toFixed(1)}s (target: <2s)`);
+  // Text colours follow the background, which auto mode only settles per page
+  for (const file of page.files) {
+    if (file.caption?.text) file.caption.color = textColor(background, file.caption.position !== 'below');
   }
+  const header = pageText(opt.header, metadata, background);
+  const footer = pageText(opt.footer, metadata, background);
 
   // Handle output based on mode
   if (opt.json) {
@@ -600,11 +1105,13 @@ while (photoQueue.length > 0) {
       output: pageFile,
       files: page.files,
       metadata: {
-        pageNumber: pageNumber,
-        photosPlaced: photosOnPage,
-        processingTime: pageTime,
-        validation: grid.validation,
-        edgeCase: grid.edgeCase
+        ...metadata,
+        header,
+        footer,
+        profile: PROFILE?.path,
+        width: page.width,
+        height: page.height,
+        marks
       }
     });
   } else {
@@ -613,31 +1120,278 @@ while (photoQueue.length > 0) {
       const renderOptions = {
         width: page.width,
         height: page.height,
-        background: opt.bg,
+        background,
         padding: parseInt(opt.padding || 0),
         borderWidth: parseInt(opt.borderWidth || 0),
-        borderColor: opt.borderColor,
-        format: 'jpg',
-        quality: 92
+        borderColor,
+        format: opt.format,
+        quality: opt.quality,
+        bitDepth: opt.bitDepth,
+        inline: opt.inline,
+        source: photoCache.load,
+        marks,
+        title: metadata.title,
+        header,
+        footer,
+        profile: PROFILE?.path
       };
 
       await renderCollageToFile(page.files, renderOptions, pageFile);
       pages.push(pageFile);
+      if (opt.layers) {
+        const name = path.basename(pageFile, path.extname(pageFile));
+        await exportLayers(page.files, renderOptions, path.dirname(pageFile), name, opt.layers);
+      }
+      if (opt.pdf) {
+        bookPages.push({
+          files: page.files,
+          metadata: { ...metadata, width: page.width, height: page.height, background, borderColor, marks, header, footer }
+        });
+      }
     } catch (error) {
-      console.log(`\n  ❌ Error rendering page ${pageNumber}: ${error.message}`);
+      console.log(`\n  ❌ Error rendering page ${metadata.pageNumber}: ${error.message}`);
     }
   }
+};
+
+for (const chapter of chapters) {
+  photoQueue = [...chapter.photos];
+  const chapterInfo = opt.chapters ? { index: chapter.index, name: chapter.name, folder: chapter.folder } : undefined;
+  let chapterStart = true;
+
+  // Optional title page naming the chapter's folder
+  if (opt.chapters && opt.chapterTitles) {
+    pageNumber++;
+    await outputPage(createPage(), path.join(outDir, `page-${pageNumber}.${PAGE_EXTENSION}`), {
+      pageNumber: pageNumber,
+      seed: SEED,
+      type: 'title',
+      title: chapter.name,
+      chapter: chapterInfo,
+      chapterStart
+    });
+    chapterStart = false;
+  }
+
+  // Main page-centric processing loop
+  let gridFallback = false; // Set after a page placed nothing with the flow engine
+  while (photoQueue.length > 0) {
+    pageNumber++;
+    const startTime = Date.now();
+
+    // Over budget, cached photos are released; later pages read them from disk again
+    const memCheck = checkMemoryConstraints();
+    if (memCheck.overBudget && photoCache.size() > 0) {
+      photoCache.clear();
+      console.log(`  ⚠️  High memory usage (${memCheck.heapUsedMB.toFixed(1)}MB heap, ${memCheck.externalMB.toFixed(1)}MB buffers), released cached photos`);
+    }
 
-  // Check for termination condition
-  if (photoQueue.length === 0) {
-    console.log(`\n  ✅ All photos processed successfully`);
-    break;
+    // 2. Create a new page with intelligent planning
+    // console.log(`📄 Creating page ${pageNumber} (${photoQueue.length} photos remaining)`);
+    const page = createPage();
+    const pageFile = path.join(outDir, `page-${pageNumber}.${PAGE_EXTENSION}`);
+
+    // Photos pinned to a later page wait for it, unless nothing else is left to place
+    let eligible = photoQueue.filter(p => !p.pinnedPage || p.pinnedPage <= pageNumber);
+    if (!eligible.length) eligible = [...photoQueue];
+
+    // 3. Generate smart grid layout for this page
+    let grid;
+    try {
+      // Pinned photos lead so the layout is built around them
+      const pinned = eligible.filter(p => p.pinnedPage === pageNumber);
+      const candidates = [...pinned, ...eligible.filter(p => !pinned.includes(p))];
+      grid = opt.layout === 'grid' || gridFallback
+        ? generateGrid(page, eligible.length, candidates)
+        : generateFlowGrid(page, candidates);
+
+      // Log validation results
+      if (grid.validation) {
+        const v = grid.validation;
+        // if (v.isValid) {
+        //   console.log(`  ✅ Layout validated (score: ${v.score})`);
+        // } else {
+        //   console.log(`  ⚠️  Layout validation issues: ${v.issues.join(', ')}`);
+        // }
+      }
+    } catch (error) {
+      console.log(`  ❌ Grid generation failed: ${error.message}`);
+      // Create emergency fallback
+      grid = {
+        layoutBlocks: [{ x: 0, y: 0, w: 1, h: 1, index: 0 }],
+        positions: [{ x: 0, y: 0, width: PAGE_W, height: PAGE_H, renderWidth: PAGE_W, renderHeight: PAGE_H, index: 0 }]
+      };
+    }
+
+    let photosOnPage = 0;
+    const layoutBlocks = grid.layoutBlocks || [];
+    const maxPhotosOnPage = Math.min(layoutBlocks.length, eligible.length);
+
+    // 4. Smart photo assignment using enhanced selection
+    const pageContext = {
+      pageNumber: pageNumber,
+      totalPages: Math.ceil(totalPhotos / (opt.grid * opt.grid)),
+      photosRemaining: photoQueue.length,
+      averageHue: HARMONY ? calculateAverageHue(eligible.slice(0, maxPhotosOnPage)) : undefined,
+      // Swatches of the photos heading the queue; harmony scores palettes against them
+      palette: HARMONY ? eligible.slice(0, maxPhotosOnPage).flatMap(p => p.palette?.swatches ?? []) : undefined,
+      // Cell geometry lets quality criteria judge blocks in print pixels
+      geometry: grid.cellWidth
+        ? { cellWidth: grid.cellWidth, cellHeight: grid.cellHeight, padding: grid.padding }
+        : undefined,
+      dpi: Number(opt.dpi),
+      pageArea: TRIM_AREA,
+      gridCells: NOMINAL_CELLS
+    };
+
+    // Optimal assignment decides the whole page up front; greedy picks block by block below
+    const assignStrategy = grid.photos ? opt.layout : opt.assign;
+    const assigned = assignStrategy === 'optimal'
+      ? assignPhotos(layoutBlocks.slice(0, maxPhotosOnPage), eligible, pageContext)
+      : null;
+    const pageLosses = [];
+    const placedPhotos = [];
+    const lowResolution = []; // Placements below --minDpi: printed (warn), moved or left out (refuse)
+    // Under --lowRes refuse: block area each photo was refused at; it may still take a smaller block
+    const refusedArea = new Map();
+    const fitsBlock = (photo, block) => !refusedArea.has(photo) || block.w * block.h < refusedArea.get(photo);
+
+    for (let blockIndex = 0; blockIndex < maxPhotosOnPage; blockIndex++) {
+      const layoutBlock = layoutBlocks[blockIndex];
+
+      try {
+        let selectedPhoto;
+        if (grid.photos) {
+          // Flow layout blocks were sized for one specific photo each
+          selectedPhoto = grid.photos[layoutBlock.index];
+        } else if (assigned && eligible.includes(assigned[blockIndex]) && fitsBlock(assigned[blockIndex], layoutBlock)) {
+          selectedPhoto = assigned[blockIndex];
+        } else {
+          // Photos pinned to this page claim blocks before the rest
+          const pinnedHere = eligible.filter(p => p.pinnedPage === pageNumber && fitsBlock(p, layoutBlock));
+          const candidates = pinnedHere.length ? pinnedHere : eligible.filter(p => fitsBlock(p, layoutBlock));
+
+          // Enhanced photo selection with weighted scoring
+          const selectedPhotoIndex = selectPhoto(candidates, layoutBlock, pageContext);
+          if (selectedPhotoIndex === -1) {
+            console.log(`  ⚠️  No suitable photo found for block ${blockIndex}`);
+            continue;
+          }
+
+          selectedPhoto = candidates[selectedPhotoIndex];
+        }
+
+        // Render photo into the layout block
+        const placed = await renderPhoto(page, selectedPhoto, layoutBlock, maxPhotosOnPage, pageNumber);
+        if (placed.aspectLoss !== undefined) pageLosses.push(placed.aspectLoss);
+        if (placed.width > 0) placedPhotos.push(selectedPhoto);
+
+        if (placed.effectiveDpi < opt.minDpi && !placed.refused) {
+          const file = path.relative(opt.input, selectedPhoto.f);
+          lowResolution.push({ file, effectiveDpi: placed.effectiveDpi });
+          console.log(`\n  ⚠️  ${file} prints at ${placed.effectiveDpi} DPI on page ${pageNumber} (minimum ${opt.minDpi})`);
+        }
+        if (placed.refused) {
+          // Too few pixels for this block. The photo stays queued for a smaller block here or on a
+          // later page, and the block is offered to the other photos. It is only left out when even
+          // a single grid cell would print it below the minimum.
+          const file = path.relative(opt.input, selectedPhoto.f);
+          const cellDpi = pageContext.geometry
+            ? blockDpi(selectedPhoto, { w: 1, h: 1 }, pageContext.geometry, opt.dpi)
+            : Infinity;
+          if (cellDpi < opt.minDpi) {
+            photoQueue.splice(photoQueue.indexOf(selectedPhoto), 1);
+            eligible.splice(eligible.indexOf(selectedPhoto), 1);
+            unplacedPhotos.push({ file, reason: `below ${opt.minDpi} DPI in any block` });
+            lowResolution.push({ file, effectiveDpi: placed.effectiveDpi, refused: true });
+            console.log(`\n  ⚠️  ${file} prints below ${opt.minDpi} DPI in any block, left out`);
+          } else {
+            refusedArea.set(selectedPhoto, layoutBlock.w * layoutBlock.h);
+          }
+          // Flow blocks are sized for their photo, so only grid blocks are offered again
+          if (!grid.photos) blockIndex--;
+          continue;
+        }
+
+        // Remove photo from queue
+        photoQueue.splice(photoQueue.indexOf(selectedPhoto), 1);
+        eligible.splice(eligible.indexOf(selectedPhoto), 1);
+        photosOnPage++;
+        photosPlaced++;
+
+      } catch (error) {
+        console.log(`  ❌ Error processing block ${blockIndex}: ${error.message}`);
+        // Continue with next block
+      }
+    }
+
+    // 5. Page completion and validation
+    const pageTime = Date.now() - startTime;
+    const timePerPhoto = photosOnPage > 0 ? (pageTime / photosOnPage).toFixed(0) : 0;
+
+    process.stdout.write(`\r✓ Page ${pageNumber}: ${photosOnPage} photos (${timePerPhoto}ms/photo), ${Math.round((photosPlaced / totalPhotos) * 100)}%`);
+
+    // Performance validation
+    if (pageTime > 2000) {
+      console.log(`\n  ⚠️  Page generation took ${(pageTime / 1000).toFixed(1)}s (target: <2s)`);
+    }
+
+    // A page that placed nothing is not output. The flow engines fall back to the grid for the next
+    // try; if that fails as well, the leading photo is set aside so the rest of the chapter still goes in
+    if (photosOnPage === 0 && photoQueue.length > 0) {
+      pageNumber--;
+      if (gridFallback || opt.layout === 'grid') {
+        // A photo refused for low resolution goes first: no block this page offered was small enough
+        const [refused] = refusedArea.keys();
+        const skipped = refused ?? eligible[0] ?? photoQueue[0];
+        const reason = refused ? `below ${opt.minDpi} DPI in every block offered` : 'fits no block';
+        photoQueue.splice(photoQueue.indexOf(skipped), 1);
+        unplacedPhotos.push({ file: path.relative(opt.input, skipped.f), reason });
+        console.log(`\n  ⚠️  ${path.relative(opt.input, skipped.f)}: ${reason}, left out`);
+      }
+      gridFallback = !gridFallback && opt.layout !== 'grid';
+      continue;
+    }
+    gridFallback = false;
+
+    await outputPage(page, pageFile, {
+      pageNumber: pageNumber,
+      seed: SEED,
+      photosPlaced: photosOnPage,
+      processingTime: pageTime,
+      validation: grid.validation,
+      edgeCase: grid.edgeCase,
+      template: grid.template,
+      assignment: { strategy: assignStrategy, aspectLoss: summarizeLoss(pageLosses) },
+      scoring: scoringMetadata,
+      dedupe: dedupeMetadata,
+      lowResolution: lowResolution.length ? lowResolution : undefined,
+      ...autoPageColors(placedPhotos),
+      chapter: chapterInfo,
+      chapterStart
+    });
+    chapterStart = false;
+    bookLosses.push(...pageLosses);
   }
 }
 
+if (photosPlaced === totalPhotos) {
+  console.log(`\n  ✅ All photos processed successfully`);
+} else if (unplacedPhotos.length) {
+  console.log(`\n  ⚠️  ${unplacedPhotos.length} photo(s) left out:`);
+  for (const { file, reason } of unplacedPhotos) console.log(`    ✗ ${file} (${reason})`);
+}
+
 // Clear the page progress line
 process.stdout.write(' '.repeat(50) + '\r');
 
+// Aspect-ratio loss across the book; rerun with another --assign to compare strategies
+if (bookLosses.length) {
+  const loss = summarizeLoss(bookLosses);
+  const strategy = opt.layout === 'grid' ? opt.assign : opt.layout;
+  console.log(`📐 Aspect-ratio loss (${strategy}): mean ${(loss.mean * 100).toFixed(1)}%, worst ${(loss.max * 100).toFixed(1)}%`);
+}
+
 
 // Save JSON layout if requested
 if (opt.json) {
@@ -648,15 +1402,22 @@ if (opt.json) {
 }
 
 /* ---------- optional PDF booklet ---------- */
+// Built from the page layouts, so photos keep their own resolution instead of a page JPEG's
 if (opt.pdf && !opt.json) {
-  const pdf = await PDFDocument.create();
-  for (const imgPath of pages) {
-    const bytes = await fsp.readFile(imgPath);
-    const jpg = await pdf.embedJpg(bytes);
-    const p = pdf.addPage([PAGE_W / opt.dpi * 72, PAGE_H / opt.dpi * 72]);
-    p.drawImage(jpg, { x: 0, y: 0, width: p.getWidth(), height: p.getHeight() });
-  }
-  await fsp.writeFile(path.join(outDir, 'booklet.pdf'), await pdf.save());
+  const pdfBytes = await buildPhotoBook(bookPages, {
+    dpi: Number(opt.dpi),
+    bleed: BLEED,
+    slug: SLUG,
+    padding: parseInt(opt.padding || 0),
+    borderWidth: parseInt(opt.borderWidth || 0),
+    spreads: !!opt.spreads,
+    gutter: GUTTER,
+    margins: { inside: INSIDE, outside: OUTSIDE },
+    quality: opt.quality,
+    profile: PROFILE,
+    source: photoCache.load
+  });
+  await fsp.writeFile(path.join(outDir, 'booklet.pdf'), pdfBytes);
 }
 
 console.log(`\n\n📁 Output: ${outDir}`);
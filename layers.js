@@ -0,0 +1,138 @@
+
+/*  Layers Module - Pages as separate photo files plus a composite description
+    - Every placement is written as its own file, fitted and cropped as on the page
+    - SVG composite: background, borders, linked photos, captions, page text, marks;
+      photos are linked as PNG (JPEG for CMYK) when the page format is one SVG viewers cannot show
+    - JSON composite: the same layers as data, for scripts and layout tools
+----------------------------------------------------------------*/
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { photoFrame, fitPipeline, encodeImage, outputExtension, createPrintMarksSvg, readFromDisk } from './render.js';
+import { createCaptionSvg, createPageTextSvg, createTitleSvg, escapeXml } from './text.js';
+import { loadIccProfile } from './icc.js';
+
+export const LAYER_DESCRIPTIONS = ['svg', 'json'];
+
+// Image formats browsers and SVG editors display when linked from an SVG
+const SVG_IMAGE_FORMATS = ['jpg', 'png'];
+
+/**
+ * @typedef {Object} PhotoLayer
+ * @property {string} file - Exported photo, relative to the description file
+ * @property {string} source - Original photo path
+ * @property {number} x - Left edge on the page in pixels
+ * @property {number} y - Top edge on the page in pixels
+ * @property {number} width - Width in pixels (the exported file's size)
+ * @property {number} height - Height in pixels
+ * @property {'cover'|'contain'|'smart'} fit - Fit mode the file was made with
+ * @property {import('./crop.js').CropRect} [crop] - Source window used for a cover fit
+ * @property {Object} [caption] - Caption with its band position (x, y, width, height) on the page
+ */
+
+/**
+ * Write a page as separate photo files and a composite description
+ * @param {import('./render.js').PhotoPlacement[]} photos - Placements
+ * @param {import('./render.js').RenderOptions} options - Render options (format, quality and profile apply to the photos;
+ *   SVG descriptions link TIFF, WebP and AVIF photos as PNG, or JPEG for CMYK profiles)
+ * @param {string} outDir - Output directory
+ * @param {string} name - Page name, e.g. 'page-3'; photos go into a folder of that name
+ * @param {'svg'|'json'} description - Composite description format
+ * @returns {Promise<string>} Path of the description file
+ */
+export async function exportLayers(photos, options, outDir, name, description) {
+  const {
+    width, height, background = '#ffffff', padding = 0, borderWidth = 0, borderColor = '#000000', source = readFromDisk
+  } = options;
+  const folder = path.join(outDir, name);
+  await fsp.mkdir(folder, { recursive: true });
+
+  let format = options.format;
+  if (description === 'svg' && !SVG_IMAGE_FORMATS.includes(format)) {
+    // PNG holds no CMYK, JPEG does
+    const cmyk = options.profile && (await loadIccProfile(options.profile)).colorSpace === 'CMYK';
+    format = cmyk ? 'jpg' : 'png';
+  }
+
+  const layers = [];
+  for (const [i, photo] of photos.entries()) {
+    const frame = photoFrame(photo, { padding, borderWidth });
+    if (frame.width <= 0 || frame.height <= 0) continue;
+    if (!fs.existsSync(photo.input)) {
+      console.log(`  ❌ File not found: ${photo.input}`);
+      continue;
+    }
+
+    const fit = photo.fit || (photo.aspectMatch ? 'contain' : 'cover');
+    const crop = fit === 'cover' ? photo.crop : undefined;
+    const file = `${String(i + 1).padStart(2, '0')}-${path.parse(photo.input).name}.${outputExtension(format)}`;
+    const pipeline = await fitPipeline(await source(photo.input), frame.width, frame.height, fit, crop, background);
+    await fsp.writeFile(path.join(folder, file), await encodeImage(pipeline, { ...options, format }));
+
+    layers.push({
+      file: `${name}/${file}`,
+      source: photo.input,
+      x: frame.x,
+      y: frame.y,
+      width: frame.width,
+      height: frame.height,
+      fit,
+      crop,
+      caption: frame.band ? {
+        ...frame.caption,
+        x: frame.x,
+        y: frame.band.top,
+        width: frame.width,
+        height: frame.band.height
+      } : undefined
+    });
+  }
+
+  const page = {
+    width,
+    height,
+    background,
+    borderWidth,
+    borderColor,
+    title: options.title || undefined,
+    header: options.header || undefined,
+    footer: options.footer || undefined,
+    marks: options.marks || undefined,
+    layers
+  };
+
+  const target = path.join(outDir, `${name}.${description}`);
+  const text = description === 'svg' ? layersSvg(page) : JSON.stringify(page, null, 2);
+  await fsp.writeFile(target, text);
+  return target;
+}
+
+// One group per photo so layout tools list them as layers; overlays reuse the renderer's SVG
+function layersSvg({ width, height, background, borderWidth, borderColor, title, header, footer, marks, layers }) {
+  const nested = (svg, x = 0, y = 0) => `<g transform="translate(${x} ${y})">${svg}</g>`;
+  const parts = [`<rect id="background" width="${width}" height="${height}" fill="${background}"/>`];
+
+  for (const [i, layer] of layers.entries()) {
+    const border = borderWidth > 0
+      ? `<rect x="${layer.x - borderWidth}" y="${layer.y - borderWidth}" width="${layer.width + borderWidth * 2}" ` +
+        `height="${layer.height + borderWidth * 2}" fill="${borderColor}"/>`
+      : '';
+    const caption = layer.caption
+      ? nested(createCaptionSvg(layer.width, layer.caption).svg, layer.caption.x, layer.caption.y)
+      : '';
+    parts.push(
+      `<g id="photo-${i + 1}" data-source="${escapeXml(layer.source)}">${border}` +
+      `<image href="${escapeXml(layer.file)}" x="${layer.x}" y="${layer.y}" width="${layer.width}" height="${layer.height}"/>` +
+      `${caption}</g>`
+    );
+  }
+
+  if (title) parts.push(nested(createTitleSvg(width, height, title, background)));
+  if (header?.text || footer?.text) {
+    parts.push(nested(createPageTextSvg(width, height, { header, footer }, marks ? marks.bleed + marks.slug : 0)));
+  }
+  if (marks && marks.slug > 0) parts.push(nested(createPrintMarksSvg(width, height, marks)));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n` +
+    parts.join('\n') + '\n</svg>\n';
+}
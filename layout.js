@@ -15,25 +15,68 @@
  * @property {Object} metrics
  */
 
+/**
+ * @typedef {Object} BlockGeometry
+ * @property {number} cellWidth - Cell width in pixels
+ * @property {number} cellHeight - Cell height in pixels
+ * @property {number} [padding] - Padding around each image in pixels
+ */
+
+// Layout engines: random blocks on a cell grid, or flow layouts that keep exact photo ratios
+export const LAYOUT_ENGINES = ['grid', 'justified', 'masonry'];
+
+// Block aspect ratios allowed on paper, shared by generation and validation
+export const ALLOWED_RATIOS = [1 / 1, 2 / 3, 3 / 2, 3 / 4, 4 / 3];
+
+// Relative deviation from an allowed ratio still accepted (cell rounding, padding)
+export const RATIO_TOLERANCE = 0.03;
+
+// Valid layouts compared by a photo-aware score before the best one is kept
+const LAYOUT_CANDIDATES = 12;
+
+/**
+ * Rendered pixel aspect ratio of a block; without geometry, cells count as square
+ * @param {number} w - Width in grid cells
+ * @param {number} h - Height in grid cells
+ * @param {BlockGeometry} [geometry] - Cell size and padding in pixels
+ * @returns {number} Width / height of the rendered photo area
+ */
+export function blockPixelRatio(w, h, geometry = {}) {
+  const { cellWidth = 1, cellHeight = 1, padding = 0 } = geometry;
+  return (w * cellWidth - padding * 2) / (h * cellHeight - padding * 2);
+}
+
+const isAllowedRatio = ratio =>
+  ALLOWED_RATIOS.some(allowed => Math.abs(ratio - allowed) / allowed <= RATIO_TOLERANCE);
+
+// Candidate block shapes in cells, [w, h]; ratios on paper depend on the cell shape
+const BLOCK_SHAPES = [[1, 1], [1, 2], [2, 1], [2, 2], [2, 3], [3, 2], [3, 4], [4, 3]];
+
+/**
+ * Block shapes whose rendered pixel ratio is in ALLOWED_RATIOS; non-square cells drop some,
+ * and cells far from square can leave none
+ * @param {BlockGeometry} [geometry] - Cell size and padding in pixels
+ * @returns {number[][]} Allowed [w, h] shapes in cells
+ */
+export function gridShapes(geometry = {}) {
+  return BLOCK_SHAPES.filter(([w, h]) => isAllowedRatio(blockPixelRatio(w, h, geometry)));
+}
+
 /**
  * Validate layout blocks against aspect ratio and quality requirements
  * @param {LayoutBlock[]} layoutBlocks - Array of layout blocks to validate
- * @param {Object} constraints - Validation constraints
+ * @param {Object} constraints - Validation constraints; `geometry` checks ratios in rendered pixels
  * @returns {ValidationResult} Validation result with score and issues
  */
 export function validateLayout(layoutBlocks, constraints = {}) {
-  const allowedRatios = [1 / 1, 2 / 3, 3 / 2, 3 / 4, 4 / 3];
-  const tolerance = 0.01;
   const issues = [];
   let score = 100;
 
-  // Validate aspect ratios
+  // Validate aspect ratios as they will appear on the page
   let invalidAspectCount = 0;
   for (const block of layoutBlocks) {
-    const blockAspectRatio = block.w / block.h;
-    const isValidRatio = allowedRatios.some(ratio =>
-      Math.abs(blockAspectRatio - ratio) <= tolerance
-    );
+    const blockAspectRatio = blockPixelRatio(block.w, block.h, constraints.geometry);
+    const isValidRatio = isAllowedRatio(blockAspectRatio);
 
     if (!isValidRatio) {
       invalidAspectCount++;
@@ -96,19 +139,32 @@ export function validateLayout(layoutBlocks, constraints = {}) {
  * @param {number} cols - Grid columns
  * @param {Object} constraints - Layout constraints
  * @param {number} maxAttempts - Maximum retry attempts
+ * @param {() => number} random - Random source (seeded PRNG or Math.random)
+ * @param {(layout: LayoutBlock[]) => number} [scoreLayout] - Photo-aware fit score; when given,
+ *   up to LAYOUT_CANDIDATES valid layouts are generated and the best scoring one is kept
  * @returns {LayoutBlock[]} Validated layout blocks
  */
-export function generateLayoutWithValidation(rows, cols, constraints = {}, maxAttempts = 100) {
+export function generateLayoutWithValidation(rows, cols, constraints = {}, maxAttempts = 100, random = Math.random, scoreLayout = null) {
   let bestLayout = null;
   let bestScore = -1;
+  let bestValid = null;
+  let bestFit = -Infinity;
+  let validCount = 0;
   let attempts = 0;
 
   while (attempts < maxAttempts) {
-    const layout = generateLayout(rows, cols);
+    const layout = generateLayout(rows, cols, random, constraints.geometry);
     const validation = validateLayout(layout, constraints);
 
     if (validation.isValid) {
-      return layout; // Return first valid layout
+      if (!scoreLayout) return layout; // Return first valid layout
+
+      const fit = scoreLayout(layout);
+      if (fit > bestFit) {
+        bestValid = layout;
+        bestFit = fit;
+      }
+      if (++validCount >= LAYOUT_CANDIDATES) break;
     }
 
     if (validation.score > bestScore) {
@@ -119,6 +175,8 @@ export function generateLayoutWithValidation(rows, cols, constraints = {}, maxAt
     attempts++;
   }
 
+  if (bestValid) return bestValid;
+
   // If no valid layout found, return best attempt or create fallback
   if (bestLayout && bestScore > 50) {
     return bestLayout;
@@ -147,7 +205,15 @@ function createFallbackLayout(rows, cols) {
   return blocks;
 }
 
-export function generateLayout(rows, cols) {
+/**
+ * Generate a random layout of allowed block shapes covering the grid
+ * @param {number} rows - Grid rows
+ * @param {number} cols - Grid columns
+ * @param {() => number} random - Random source (seeded PRNG or Math.random)
+ * @param {BlockGeometry} [geometry] - Cell size in pixels; shapes must hit an allowed ratio on paper
+ * @returns {LayoutBlock[]} Layout blocks
+ */
+export function generateLayout(rows, cols, random = Math.random, geometry = {}) {
   const grid = Array.from({ length: rows }, () =>
     Array(cols).fill(false)
   );
@@ -174,23 +240,14 @@ export function generateLayout(rows, cols) {
     blocks.push({ x, y, w, h, index: index++ });
   }
 
-  // Constrained shape placement to enforce specific aspect ratios only
-  // Allowed aspect ratios: 1:1, 1:2, 2:1, 2:3, 3:2, 3:4, 4:3
-  const allowedShapes = [
-    [1, 1],   // 1:1 ratio
-    [1, 2],   // 1:2 ratio
-    [2, 1],   // 2:1 ratio
-    [2, 2],   // 1:1 ratio (larger)
-    [2, 3],   // 2:3 ratio
-    [3, 2],   // 3:2 ratio
-    [3, 4],   // 3:4 ratio
-    [4, 3]    // 4:3 ratio
-  ];
+  // Only shapes whose rendered pixel ratio is in ALLOWED_RATIOS are used
+  const allowedShapes = gridShapes(geometry);
+  const isShapeAllowed = ([w, h]) => allowedShapes.some(shape => shape[0] === w && shape[1] === h);
 
   // Categorize shapes by size for better placement strategy
-  const smallShapes = [[1, 1], [1, 2], [2, 1]];
-  const mediumShapes = [[2, 2], [2, 3], [3, 2]];
-  const largeShapes = [[3, 4], [4, 3]];
+  const smallShapes = [[1, 1], [1, 2], [2, 1]].filter(isShapeAllowed);
+  const mediumShapes = [[2, 2], [2, 3], [3, 2]].filter(isShapeAllowed);
+  const largeShapes = [[3, 4], [4, 3]].filter(isShapeAllowed);
 
   // First pass: try to place some medium and large shapes for variety
   for (let y = 0; y < rows; y++) {
@@ -198,14 +255,14 @@ export function generateLayout(rows, cols) {
       if (grid[y][x]) continue;
 
       // 25% chance to try a large shape, 35% for medium shape
-      const rand = Math.random();
+      const rand = random();
       let shapesToTry = [];
 
       if (rand < 0.25 && (rows >= 4 && cols >= 4)) {
         // Only try large shapes if grid is big enough
-        shapesToTry = shuffle([...largeShapes]);
+        shapesToTry = shuffle([...largeShapes], random);
       } else if (rand < 0.6) {
-        shapesToTry = shuffle([...mediumShapes]);
+        shapesToTry = shuffle([...mediumShapes], random);
       }
 
       for (let shape of shapesToTry) {
@@ -226,15 +283,15 @@ export function generateLayout(rows, cols) {
       let placed = false;
 
       // Try shapes in order of preference: small (60%), medium (30%), large (10%)
-      const rand = Math.random();
+      const rand = random();
       let shapesToTry = [];
 
       if (rand < 0.6) {
-        shapesToTry = shuffle([...smallShapes]);
+        shapesToTry = shuffle([...smallShapes], random);
       } else if (rand < 0.9) {
-        shapesToTry = shuffle([...mediumShapes]);
+        shapesToTry = shuffle([...mediumShapes], random);
       } else {
-        shapesToTry = shuffle([...largeShapes]);
+        shapesToTry = shuffle([...largeShapes], random);
       }
 
       for (let shape of shapesToTry) {
@@ -248,7 +305,7 @@ export function generateLayout(rows, cols) {
 
       // Fallback: try any allowed shape that fits
       if (!placed) {
-        for (let shape of shuffle([...allowedShapes])) {
+        for (let shape of shuffle([...allowedShapes], random)) {
           const [w, h] = shape;
           if (canPlace(x, y, w, h)) {
             place(x, y, w, h);
@@ -277,11 +334,167 @@ export function generateLayout(rows, cols) {
   return blocks;
 }
 
+/**
+ * @typedef {Object} FlowLayout
+ * @property {LayoutBlock[]} blocks - Blocks in pixel units (1px cells); block.index is the photo's position in the input
+ * @property {number} coverage - Share of the area covered by photos (0-1)
+ */
+
+// Fewer rows/columns are preferred only when they cover clearly more of the page
+const COVERAGE_SLACK = 0.05;
+
+/**
+ * Justified rows (Flickr style): every photo keeps its exact aspect ratio and each
+ * full row spans the page width. Tries 1..rows row counts and keeps the best coverage.
+ * @param {number[]} aspects - Photo aspect ratios (width / height) in queue order
+ * @param {number} width - Usable width in pixels
+ * @param {number} height - Usable height in pixels
+ * @param {Object} options - Engine options
+ * @param {number} options.rows - Target (maximum) number of rows
+ * @param {number} [options.padding] - Padding around each image; render areas keep the exact ratio
+ * @returns {FlowLayout} Blocks for the first photos that fit
+ */
+export function generateJustifiedLayout(aspects, width, height, { rows, padding = 0 }) {
+  return pickBestFlow(rows, rowCount => justifyRows(aspects, width, height, rowCount, padding));
+}
+
+/**
+ * Column masonry: fixed-width columns filled shortest-first in queue order, each photo
+ * at its exact ratio; the last photo of a column may grow up to 25% to reach the bottom.
+ * A photo taller than the page at the column width gets the full column (cover-cropped),
+ * so the first photo always finds a block.
+ * Tries 1..cols column counts and keeps the best coverage.
+ * @param {number[]} aspects - Photo aspect ratios (width / height) in queue order
+ * @param {number} width - Usable width in pixels
+ * @param {number} height - Usable height in pixels
+ * @param {Object} options - Engine options
+ * @param {number} options.cols - Target (maximum) number of columns
+ * @param {number} [options.padding] - Padding around each image; render areas keep the exact ratio
+ * @returns {FlowLayout} Blocks for the first photos that fit
+ */
+export function generateMasonryLayout(aspects, width, height, { cols, padding = 0 }) {
+  return pickBestFlow(cols, colCount => fillColumns(aspects, width, height, colCount, padding));
+}
+
+// Evaluate 1..max counts; keep the largest count within COVERAGE_SLACK of the best coverage
+function pickBestFlow(max, build) {
+  const layouts = [];
+  for (let count = 1; count <= Math.max(1, max); count++) {
+    layouts.push(build(count));
+  }
+  const bestCoverage = Math.max(...layouts.map(l => l.coverage));
+  return layouts.filter(l => l.coverage >= bestCoverage - COVERAGE_SLACK).pop();
+}
+
+function justifyRows(aspects, width, height, rowCount, padding) {
+  const targetHeight = height / rowCount;
+  const rows = [];
+  let next = 0;
+
+  // Greedily fill rows at the target height until they reach the page width
+  while (rows.length < rowCount && next < aspects.length) {
+    const row = [];
+    let naturalWidth = 0;
+    while (next < aspects.length && naturalWidth < width) {
+      naturalWidth += aspects[next] * (targetHeight - padding * 2) + padding * 2;
+      row.push(next++);
+    }
+    rows.push({ items: row, full: naturalWidth >= width });
+  }
+
+  // Full rows get the height that makes them exactly page-wide; a short last row keeps the target
+  const rowHeights = rows.map(({ items, full }) => {
+    const sumAspect = items.reduce((sum, i) => sum + aspects[i], 0);
+    const fitHeight = padding * 2 + (width - padding * 2 * items.length) / sumAspect;
+    return full ? fitHeight : Math.min(fitHeight, targetHeight);
+  });
+
+  // Shrink everything if the rows overflow, then spread leftover space between rows
+  const total = rowHeights.reduce((sum, h) => sum + h, 0);
+  const scale = Math.min(1, height / total);
+  const leftover = height - total * scale;
+  const gap = rows.length > 1 ? leftover / (rows.length - 1) : 0;
+  let y = rows.length > 1 ? 0 : leftover / 2;
+
+  const blocks = [];
+  rows.forEach(({ items }, r) => {
+    const rowHeight = rowHeights[r] * scale;
+    const widths = items.map(i => aspects[i] * (rowHeight - padding * 2) + padding * 2);
+    let x = (width - widths.reduce((sum, w) => sum + w, 0)) / 2;
+    items.forEach((i, k) => {
+      blocks.push(toPixelBlock(x, y, widths[k], rowHeight, i, width, height));
+      x += widths[k];
+    });
+    y += rowHeight + gap;
+  });
+
+  return { blocks, coverage: coverageOf(blocks, width, height, padding) };
+}
+
+function fillColumns(aspects, width, height, colCount, padding) {
+  const colWidth = width / colCount;
+  const innerWidth = colWidth - padding * 2;
+  const columns = Array.from({ length: colCount }, () => ({ items: [], height: 0 }));
+  let cropped = 0; // Page share cut off photos clamped to the column height
+
+  // Shortest column first, in queue order; stop at the first photo that fits nowhere
+  for (let i = 0; i < aspects.length; i++) {
+    let itemHeight = innerWidth / aspects[i] + padding * 2;
+    const column = columns.reduce((a, b) => (b.height < a.height ? b : a));
+    if (column.height + itemHeight > height) {
+      if (column.items.length) break;
+      cropped += colWidth * (itemHeight - height) / (width * height);
+      itemHeight = height;
+    }
+    column.items.push({ index: i, height: itemHeight });
+    column.height += itemHeight;
+  }
+
+  const blocks = [];
+  columns.forEach((column, c) => {
+    if (!column.items.length) return;
+
+    // Let the last photo grow (cover-cropped) up to 25% toward the bottom edge
+    const last = column.items[column.items.length - 1];
+    const growth = Math.min(height - column.height, last.height * 0.25);
+    last.height += growth;
+    column.height += growth;
+
+    const leftover = height - column.height;
+    const gap = column.items.length > 1 ? leftover / (column.items.length - 1) : 0;
+    let y = column.items.length > 1 ? 0 : leftover / 2;
+    for (const item of column.items) {
+      blocks.push(toPixelBlock(c * colWidth, y, colWidth, item.height, item.index, width, height));
+      y += item.height + gap;
+    }
+  });
+
+  blocks.sort((a, b) => a.index - b.index);
+  // A clamped photo covers its column but loses most of itself; count it at the size it would have had
+  const coverage = coverageOf(blocks, width, height, padding);
+  return { blocks, coverage: cropped ? coverage * Math.min(1, 1 / (1 + cropped)) : coverage };
+}
+
+// Round edges (not sizes) so neighbouring blocks stay flush and inside the page
+function toPixelBlock(x, y, w, h, index, width, height) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(width, Math.round(x + w));
+  const bottom = Math.min(height, Math.round(y + h));
+  return { x: left, y: top, w: Math.max(1, right - left), h: Math.max(1, bottom - top), index };
+}
+
+function coverageOf(blocks, width, height, padding) {
+  const area = blocks.reduce((sum, b) =>
+    sum + Math.max(0, b.w - padding * 2) * Math.max(0, b.h - padding * 2), 0);
+  return area / (width * height);
+}
+
 // Helper to randomize shape order
-function shuffle(arr) {
+function shuffle(arr, random = Math.random) {
   const a = arr.slice();
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -0,0 +1,182 @@
+
+/*  Manifest Module - Per-photo settings from a JSON, YAML or CSV file
+    - importance, caption, place, focal point, forced page, must-be-large, fit, exclude
+    - Entries match by path relative to --input, falling back to file name
+----------------------------------------------------------------*/
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import YAML from 'yaml';
+import { FIT_MODES } from './render.js';
+
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} file - Photo path relative to the input directory, or a bare file name
+ * @property {number} [importance] - Importance 0-5, overrides the imp(\d) filename tag
+ * @property {string} [caption] - Caption text carried into the layout
+ * @property {string} [place] - Where the photo was taken, for {place} in caption templates
+ * @property {{x: number, y: number}} [focus] - Focal point as fractions of width/height (0-1)
+ * @property {number} [page] - Page number the photo must be placed on
+ * @property {boolean} [large] - Photo must land in a large block
+ * @property {string} [fit] - Fit mode for this photo (cover, contain, smart, auto)
+ * @property {boolean} [exclude] - Leave the photo out of the book
+ */
+
+/**
+ * @typedef {Object} Manifest
+ * @property {Map<string, ManifestEntry>} byPath - Entries keyed by normalized relative path
+ * @property {Map<string, ManifestEntry>} byName - Entries given as bare file names, keyed in lowercase
+ */
+
+/**
+ * Load and normalize a manifest file
+ * @param {string} file - Path to a .json, .yaml/.yml or .csv manifest
+ * @returns {Promise<Manifest>} Manifest lookup tables
+ */
+export async function loadManifest(file) {
+  const text = await fsp.readFile(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+
+  let raw;
+  if (ext === '.json') {
+    raw = JSON.parse(text);
+  } else if (ext === '.yaml' || ext === '.yml') {
+    raw = YAML.parse(text);
+  } else if (ext === '.csv') {
+    raw = parseCsv(text);
+  } else {
+    throw new Error(`Unsupported manifest format: ${ext}. Use .json, .yaml, .yml or .csv`);
+  }
+
+  // Accept either a list of entries or an object keyed by file
+  const list = Array.isArray(raw) ? raw
+    : Object.entries(raw || {}).map(([key, value]) => ({ file: key, ...value }));
+
+  const manifest = { byPath: new Map(), byName: new Map() };
+  list.forEach((item, i) => {
+    if (!item?.file) {
+      throw new Error(`Manifest entry ${i + 1} is missing "file"`);
+    }
+    const entry = normalizeEntry(item);
+    const key = normalizePath(entry.file);
+    manifest.byPath.set(key, entry);
+    // Only bare names match in any folder; 'a/IMG_001.jpg' must not also apply to 'b/IMG_001.jpg'
+    if (!key.includes('/')) manifest.byName.set(key, entry);
+  });
+
+  return manifest;
+}
+
+/**
+ * Find the manifest entry for a photo
+ * @param {Manifest|null} manifest - Loaded manifest
+ * @param {string} file - Absolute photo path
+ * @param {string} inputDir - Input directory the manifest paths are relative to
+ * @returns {ManifestEntry|null} Matching entry
+ */
+export function lookupManifest(manifest, file, inputDir) {
+  if (!manifest) return null;
+  return manifest.byPath.get(normalizePath(path.relative(inputDir, file)))
+    || manifest.byName.get(path.basename(file).toLowerCase())
+    || null;
+}
+
+// Relative paths compare with forward slashes and without case
+function normalizePath(p) {
+  return p.split(path.sep).join('/').replace(/^\.\//, '').toLowerCase();
+}
+
+// Coerce manifest values (CSV gives strings) into typed fields
+function normalizeEntry(item) {
+  const entry = { file: String(item.file) };
+
+  if (item.importance !== undefined && item.importance !== '') {
+    const importance = Number(item.importance);
+    if (!Number.isFinite(importance)) {
+      throw new Error(`Invalid importance for ${entry.file}: ${item.importance}`);
+    }
+    entry.importance = Math.max(0, Math.min(5, importance));
+  }
+  if (item.caption) entry.caption = String(item.caption);
+  if (item.place) entry.place = String(item.place);
+  if (item.focus !== undefined && item.focus !== '') entry.focus = parseFocus(item.focus, entry.file);
+  if (item.page !== undefined && item.page !== '') {
+    const page = parseInt(item.page, 10);
+    if (!(page >= 1)) throw new Error(`Invalid page for ${entry.file}: ${item.page}`);
+    entry.page = page;
+  }
+  if (parseFlag(item.large)) entry.large = true;
+  if (item.fit) {
+    if (!FIT_MODES.includes(item.fit)) {
+      throw new Error(`Invalid fit for ${entry.file}: ${item.fit}. Use one of ${FIT_MODES.join(', ')}`);
+    }
+    entry.fit = item.fit;
+  }
+  if (parseFlag(item.exclude)) entry.exclude = true;
+
+  return entry;
+}
+
+// Focus accepts {x, y}, [x, y] or "x,y" / "x y" with fractions in 0-1
+function parseFocus(value, file) {
+  const [x, y] = typeof value === 'object'
+    ? (Array.isArray(value) ? value : [value.x, value.y])
+    : String(value).split(/[\s,;]+/);
+  const focus = { x: Number(x), y: Number(y) };
+  if (![focus.x, focus.y].every(v => Number.isFinite(v) && v >= 0 && v <= 1)) {
+    throw new Error(`Invalid focus for ${file}: ${JSON.stringify(value)} (expected x,y between 0 and 1)`);
+  }
+  return focus;
+}
+
+function parseFlag(value) {
+  return value === true || /^(true|yes|y|1|x)$/i.test(String(value ?? '').trim());
+}
+
+/**
+ * Parse CSV text with a header row into objects (RFC 4180 quoting)
+ * @param {string} text - CSV content
+ * @returns {Object[]} Rows keyed by header names
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(v => v.trim() !== ''));
+  const keys = header.map(h => h.trim().toLowerCase());
+  return body.map(values =>
+    Object.fromEntries(keys.map((key, i) => [key, (values[i] ?? '').trim()]))
+  );
+}
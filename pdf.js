@@ -0,0 +1,352 @@
+
+/*  PDF Module - Photo-book PDF built from page layouts instead of page images
+    - Each photo is its own image object at its placement, never upsampled past its source
+    - Background, borders, captions, page text and printer marks drawn as vectors
+    - Text set in the bundled DejaVu Sans, embedded as a subset; characters it has no
+      glyph for print as '?' with a warning
+    - Facing spreads on one sheet with a gutter; inside/outside margins scale each
+      page into its live area, the inside edge following the binding
+    - TrimBox and BleedBox on every sheet; print-on-demand size presets
+    - With an ICC profile, photos and vector colours are converted into it and the
+      profile is embedded as the PDF output intent
+----------------------------------------------------------------*/
+import sharp from 'sharp';
+import fs from 'node:fs';
+import fsp from 'node:fs/promises';
+import { PDFDocument, rgb, cmyk, grayscale } from 'pdf-lib';
+import fontkit from '@pdf-lib/fontkit';
+import { photoFrame, fitPhoto, loadPhoto, readFromDisk } from './render.js';
+import { pageTextBoxes, scrimColor, contrastColor, titleSize, LINE_HEIGHT } from './text.js';
+import { convertColor, addOutputIntent } from './icc.js';
+
+// Marks print on every separation; the colour name is resolved per output space
+const REGISTRATION = 'registration';
+
+const FONT_FILE = new URL('./fonts/DejaVuSans.ttf', import.meta.url);
+
+// Common print-on-demand trim sizes with their bleed and inside,outside margins
+export const BOOK_PRESETS = {
+  'a4': { size: '210x297mm', bleed: '3mm', margins: '15mm,10mm' },
+  'a4-landscape': { size: '297x210mm', bleed: '3mm', margins: '15mm,10mm' },
+  'a5': { size: '148x210mm', bleed: '3mm', margins: '12mm,8mm' },
+  'letter': { size: '8.5x11in', bleed: '0.125in', margins: '0.625in,0.375in' },
+  'square-7': { size: '7x7in', bleed: '0.125in', margins: '0.5in,0.375in' },
+  'square-8': { size: '8x8in', bleed: '0.125in', margins: '0.5in,0.375in' },
+  'square-8.5': { size: '8.5x8.5in', bleed: '0.125in', margins: '0.5in,0.375in' },
+  'square-12': { size: '12x12in', bleed: '0.125in', margins: '0.75in,0.5in' },
+  'landscape-10x8': { size: '10x8in', bleed: '0.125in', margins: '0.5in,0.375in' },
+  'landscape-11x8.5': { size: '11x8.5in', bleed: '0.125in', margins: '0.5in,0.375in' },
+  'landscape-13x11': { size: '13x11in', bleed: '0.125in', margins: '0.75in,0.5in' },
+  'portrait-8x10': { size: '8x10in', bleed: '0.125in', margins: '0.5in,0.375in' }
+};
+
+/**
+ * @typedef {Object} BookPage
+ * @property {import('./render.js').PhotoPlacement[]} files - Placements in page pixels
+ * @property {Object} metadata - Page metadata: width, height, background, borderColor, marks, title, header, footer
+ */
+
+/**
+ * @typedef {Object} BookOptions
+ * @property {number} dpi - Resolution of the page layouts
+ * @property {number} [bleed] - Bleed in pixels
+ * @property {number} [slug] - Slug outside the bleed in pixels
+ * @property {number} [padding] - Padding around each photo in pixels
+ * @property {number} [borderWidth] - Border width around each photo in pixels
+ * @property {boolean} [spreads] - Facing pages share a sheet; page 1 stands alone as a right-hand page
+ * @property {number} [gutter] - Gap between the pages of a spread in pixels
+ * @property {{inside: number, outside: number}} [margins] - Live-area margins in pixels; inside is the binding edge
+ * @property {number} [quality] - JPEG quality of embedded photos (92)
+ * @property {import('./icc.js').IccProfile} [profile] - Output profile; photos and colours are converted into it
+ * @property {(input: string) => Promise<Buffer|string>} [source] - Reads a photo, e.g. from a bounded photo cache
+ */
+
+/**
+ * Group pages onto sheets: one page each, or facing pairs after a lone first page
+ * @param {number} count - Number of pages
+ * @param {boolean} spreads - Pair facing pages
+ * @returns {number[][]} Page indices per sheet, left to right
+ */
+export function sheetPages(count, spreads) {
+  const indices = Array.from({ length: count }, (_, i) => i);
+  if (!spreads) return indices.map(i => [i]);
+  const sheets = count ? [[0]] : [];
+  for (let i = 1; i < count; i += 2) sheets.push(indices.slice(i, i + 2));
+  return sheets;
+}
+
+/**
+ * Build the photo-book PDF
+ * @param {BookPage[]} pages - Pages in book order, all the same size
+ * @param {BookOptions} options - Print geometry
+ * @returns {Promise<Uint8Array>} PDF bytes
+ */
+export async function buildPhotoBook(pages, options) {
+  const { dpi, bleed = 0, slug = 0, spreads = false, gutter = 0 } = options;
+  const pdf = await PDFDocument.create();
+  pdf.registerFontkit(fontkit);
+  const font = await pdf.embedFont(await fsp.readFile(FONT_FILE), { subset: true });
+  const missing = new Set();
+  const paint = createPaint(options.profile);
+  const pt = 72 / dpi;
+  if (options.profile && !addOutputIntent(pdf, options.profile)) {
+    console.log(`  ⚠️  ${options.profile.description} is a '${options.profile.deviceClass}' profile, not an output profile; booklet.pdf gets no output intent`);
+  }
+  const inset = bleed + slug;
+
+  for (const sheetIndices of sheetPages(pages.length, spreads)) {
+    const { width, height } = pages[sheetIndices[0]].metadata;
+    const trimW = width - inset * 2;
+    const trimH = height - inset * 2;
+    const sheetW = inset * 2 + trimW * sheetIndices.length + gutter * (sheetIndices.length - 1);
+    const sheet = pdf.addPage([sheetW * pt, height * pt]);
+    const canvas = createCanvas(sheet, font, pt, height, paint, missing);
+
+    // Backgrounds first, each on its own side of the spread: bleed on the outer edges only and
+    // half the gutter each, so a page's background never covers its neighbour's photos
+    const last = sheetIndices.length - 1;
+    for (const [slot, index] of sheetIndices.entries()) {
+      const originX = inset + slot * (trimW + gutter);
+      const left = originX - (slot === 0 ? bleed : gutter / 2);
+      const right = originX + trimW + (slot === last ? bleed : gutter / 2);
+      const background = pages[index].metadata.background || '#ffffff';
+      await canvas.rect(left, inset - bleed, right - left, trimH + bleed * 2, background);
+    }
+    for (const [slot, index] of sheetIndices.entries()) {
+      const originX = inset + slot * (trimW + gutter);
+      await drawPage(pdf, canvas, pages[index], index, originX, { ...options, inset, trimW, trimH });
+    }
+
+    // Boxes span the whole sheet, so a spread is trimmed as one piece
+    if (bleed) {
+      sheet.setBleedBox(slug * pt, slug * pt, (sheetW - slug * 2) * pt, (height - slug * 2) * pt);
+    }
+    sheet.setTrimBox(inset * pt, inset * pt, (sheetW - inset * 2) * pt, (height - inset * 2) * pt);
+
+    const marks = pages[sheetIndices[0]].metadata.marks;
+    if (marks && marks.slug > 0) await drawPrintMarks(canvas, sheetW, height, marks);
+  }
+
+  if (missing.size) console.log(`  ⚠️  No PDF font glyph for ${[...missing].join(' ')}, printed as '?'`);
+  return pdf.save();
+}
+
+// Drawing helpers in sheet pixels (origin top left), converted to PDF points
+function createCanvas(sheet, font, pt, sheetH, paint, missing) {
+  // Characters without a glyph in the font print as '?' and are collected in missing
+  const charset = new Set(font.getCharacterSet());
+  const encodable = text => [...text].map(c => {
+    if (charset.has(c.codePointAt(0))) return c;
+    missing.add(c);
+    return '?';
+  }).join('');
+
+  return {
+    async rect(x, y, w, h, color, opacity = 1) {
+      sheet.drawRectangle({ x: x * pt, y: (sheetH - y - h) * pt, width: w * pt, height: h * pt, color: await paint(color), opacity });
+    },
+    image(image, x, y, w, h) {
+      sheet.drawImage(image, { x: x * pt, y: (sheetH - y - h) * pt, width: w * pt, height: h * pt });
+    },
+    async line(x1, y1, x2, y2, color, thickness) {
+      sheet.drawLine({ start: { x: x1 * pt, y: (sheetH - y1) * pt }, end: { x: x2 * pt, y: (sheetH - y2) * pt }, color: await paint(color), thickness });
+    },
+    async circle(cx, cy, r, color, filled, thickness) {
+      const c = await paint(color);
+      sheet.drawCircle({
+        x: cx * pt, y: (sheetH - cy) * pt, size: r * pt,
+        ...(filled ? { color: c } : { borderColor: c, borderWidth: thickness })
+      });
+    },
+    // Lines centered on (cx, cy); size in pixels
+    async text(lines, cx, cy, size, color, align = 'center') {
+      const c = await paint(color);
+      const fontSize = size * pt;
+      const lineHeight = size * LINE_HEIGHT;
+      const capHeight = font.heightAtSize(fontSize, { descender: false }) / pt;
+      lines.forEach((line, i) => {
+        const text = encodable(line);
+        const textW = font.widthOfTextAtSize(text, fontSize) / pt;
+        const baseline = cy - (lines.length - 1) * lineHeight / 2 + i * lineHeight + capHeight / 2;
+        const x = align === 'left' ? cx : cx - textW / 2;
+        sheet.drawText(text, { x: x * pt, y: (sheetH - baseline) * pt, size: fontSize, font, color: c });
+      });
+    }
+  };
+}
+
+// One page at its place on the sheet; content is scaled into the live area inside the margins
+async function drawPage(pdf, canvas, page, index, originX, options) {
+  const { inset, trimW, trimH, padding = 0, borderWidth = 0, quality = 92, profile, source: readPhoto = readFromDisk } = options;
+  const { inside = 0, outside = 0 } = options.margins || {};
+  const { files = [], metadata } = page;
+  const background = metadata.background || '#ffffff';
+  const borderColor = metadata.borderColor || '#000000';
+
+  // Odd page numbers are right-hand pages, bound on their left edge
+  const bindingLeft = index % 2 === 0;
+  const liveW = trimW - inside - outside;
+  const liveH = trimH - outside * 2;
+  const scale = Math.min(1, liveW / trimW, liveH / trimH);
+  const offsetX = originX + (bindingLeft ? inside : outside) + (liveW - trimW * scale) / 2;
+  const offsetY = inset + outside + (liveH - trimH * scale) / 2;
+  const at = (x, y) => [offsetX + (x - inset) * scale, offsetY + (y - inset) * scale];
+
+  for (const file of files) {
+    if (!fs.existsSync(file.input)) {
+      console.log(`  ❌ File not found: ${file.input}`);
+      continue;
+    }
+
+    const frame = photoFrame(file, { padding, borderWidth });
+    if (frame.width <= 0 || frame.height <= 0) continue;
+    const [x, y] = at(frame.x, frame.y);
+    const w = frame.width * scale;
+    const h = frame.height * scale;
+
+    if (borderWidth > 0) {
+      const b = borderWidth * scale;
+      await canvas.rect(x - b, y - b, w + b * 2, h + b * 2, borderColor);
+    }
+
+    try {
+      const fit = file.fit || (file.aspectMatch ? 'contain' : 'cover');
+      const photo = await photoImage(await readPhoto(file.input), file, frame.width, frame.height, fit, background, quality, profile);
+      const image = await pdf.embedJpg(photo.data);
+      canvas.image(image, x + photo.x * scale, y + photo.y * scale, photo.width * scale, photo.height * scale);
+    } catch (error) {
+      console.log(`  ❌ Error processing ${file.input}: ${error.message}`);
+      continue;
+    }
+
+    if (frame.band) {
+      const { caption, band } = frame;
+      const [, bandY] = at(frame.x, band.top);
+      const bandH = band.height * scale;
+      if (caption.position !== 'below' && caption.scrim > 0) {
+        await canvas.rect(x, bandY, w, bandH, scrimColor(caption), caption.scrim);
+      }
+      await canvas.text(band.lines, x + w / 2, bandY + bandH / 2, caption.size * scale, caption.color);
+    }
+  }
+
+  if (metadata.title) {
+    const size = titleSize(metadata.width, metadata.height);
+    const [cx, cy] = at(metadata.width / 2, metadata.height / 2);
+    await canvas.text([metadata.title], cx, cy, size * scale, contrastColor(background));
+  }
+
+  for (const box of pageTextBoxes(metadata.width, metadata.height, metadata, inset)) {
+    const [x, y] = at(box.x, box.y);
+    if (box.style.scrim > 0) {
+      await canvas.rect(x, y, box.width * scale, box.height * scale, scrimColor(box.style), box.style.scrim);
+    }
+    await canvas.text(box.lines, x + box.width * scale / 2, y + box.height * scale / 2, box.style.size * scale, box.style.color);
+  }
+}
+
+/**
+ * Photo pixels for a frame at no more than the source resolution; the PDF scales the image object
+ * @returns {Promise<{data: Buffer, x: number, y: number, width: number, height: number}>}
+ *   JPEG data and where it sits in the frame (frame pixels)
+ */
+async function photoImage(source, file, width, height, fit, background, quality, profile) {
+  // Photos leave the sRGB working space for the output profile (CMYK JPEG for CMYK profiles)
+  const encode = pipeline => (profile ? pipeline.withMetadata({ icc: profile.path }) : pipeline)
+    .jpeg({ quality })
+    .toBuffer();
+
+  // Smart fill composes a blurred backdrop, so it is rasterised at the frame size
+  if (fit === 'smart') {
+    const data = await fitPhoto(source, width, height, 'smart', null, background);
+    return { data: await encode(sharp(data)), x: 0, y: 0, width, height };
+  }
+
+  const cover = fit === 'cover';
+  const meta = await sharp(source).metadata();
+  const upright = meta.orientation >= 5 ? { width: meta.height, height: meta.width } : meta;
+  const used = cover && file.crop ? file.crop : upright;
+  const scale = cover
+    ? Math.max(width / used.width, height / used.height)
+    : Math.min(width / used.width, height / used.height);
+
+  // Contain shows the whole photo centered in the frame, over the page background
+  const shown = cover ? { width, height } : { width: used.width * scale, height: used.height * scale };
+  const pixels = Math.min(1, 1 / scale);
+  const data = await encode(loadPhoto(source, cover ? file.crop : undefined)
+    .resize(Math.max(1, Math.round(shown.width * pixels)), Math.max(1, Math.round(shown.height * pixels)), {
+      fit: cover ? 'cover' : 'fill'
+    })
+    .flatten({ background }));
+  return { data, x: (width - shown.width) / 2, y: (height - shown.height) / 2, ...shown };
+}
+
+// Crop marks and registration targets around the sheet's trim, as in render.js
+async function drawPrintMarks(canvas, width, height, marks) {
+  const { bleed = 0, slug, centerMarks = false, label, color = REGISTRATION } = marks;
+  const thickness = 0.25; // hairline, in points
+  const trim = slug + bleed;
+  const markStart = slug;
+  const markEnd = slug * 0.25;
+  const radius = slug * 0.2;
+
+  const target = async (cx, cy) => {
+    await canvas.circle(cx, cy, radius, color, false, thickness);
+    await canvas.circle(cx, cy, radius / 2, color, true);
+    await canvas.line(cx - radius * 1.5, cy, cx + radius * 1.5, cy, color, thickness);
+    await canvas.line(cx, cy - radius * 1.5, cx, cy + radius * 1.5, color, thickness);
+  };
+
+  const corners = [
+    [trim, trim, -1, -1],
+    [width - trim, trim, 1, -1],
+    [trim, height - trim, -1, 1],
+    [width - trim, height - trim, 1, 1]
+  ];
+  for (const [cx, cy, dx, dy] of corners) {
+    const xOuter = dx < 0 ? 0 : width;
+    const yOuter = dy < 0 ? 0 : height;
+    await canvas.line(xOuter - dx * markStart, cy, xOuter - dx * markEnd, cy, color, thickness);
+    await canvas.line(cx, yOuter - dy * markStart, cx, yOuter - dy * markEnd, color, thickness);
+  }
+
+  const half = slug / 2;
+  await target(half, half);
+  await target(width - half, half);
+  await target(half, height - half);
+  await target(width - half, height - half);
+
+  if (centerMarks) {
+    await target(width / 2, half);
+    await target(width / 2, height - half);
+    await target(half, height / 2);
+    await target(width - half, height / 2);
+  }
+
+  if (label) {
+    const size = Math.max(6, Math.min(slug * 0.3, (marks.dpi || 300) * 7 / 72));
+    await canvas.text([label], trim + radius * 2, height - half, size, color, 'left');
+  }
+}
+
+// Vector colours in the output space: sRGB hex converted through the profile, cached per colour
+function createPaint(profile) {
+  const cache = new Map();
+  return (hex) => {
+    if (!cache.has(hex)) cache.set(hex, resolveColor(hex, profile));
+    return cache.get(hex);
+  };
+}
+
+async function resolveColor(hex, profile) {
+  if (hex === REGISTRATION) {
+    return profile?.colorSpace === 'CMYK' ? cmyk(1, 1, 1, 1) : rgb(0, 0, 0);
+  }
+  const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+  const srgb = m ? m.slice(1).map(v => parseInt(v, 16) / 255) : [1, 1, 1];
+  if (!profile) return rgb(...srgb);
+
+  const values = await convertColor(m ? `#${m.slice(1).join('')}` : '#ffffff', profile);
+  if (profile.colorSpace === 'CMYK') return cmyk(...values);
+  return profile.colorSpace === 'GRAY' ? grayscale(values[0]) : rgb(...values);
+}
@@ -26,6 +26,7 @@
  * @property {number} cellHeight - Height of each grid cell in pixels
  * @property {number} padding - Padding around each image in pixels
  * @property {number} bleed - Bleed margin in pixels (optional, defaults to 0)
+ * @property {number} slug - Slug margin outside the bleed in pixels (optional, defaults to 0)
  */
 
 /**
@@ -41,7 +42,8 @@ export function calculatePositions(layoutBlocks, gridConfig) {
     cellWidth,
     cellHeight,
     padding = 0,
-    bleed = 0
+    bleed = 0,
+    slug = 0
   } = gridConfig;
 
   // Validate grid config
@@ -67,9 +69,9 @@ export function calculatePositions(layoutBlocks, gridConfig) {
     const renderWidth = Math.round(cellWidth * spanCols - padding * 2);
     const renderHeight = Math.round(cellHeight * spanRows - padding * 2);
 
-    // Calculate position on page (including bleed offset) - round to integers
-    const x = Math.round(col * cellWidth + padding + bleed);
-    const y = Math.round(row * cellHeight + padding + bleed);
+    // Calculate position on page (including bleed and slug offset) - round to integers
+    const x = Math.round(col * cellWidth + padding + bleed + slug);
+    const y = Math.round(row * cellHeight + padding + bleed + slug);
 
     // Calculate total dimensions (including padding) - round to integers
     const width = Math.round(cellWidth * spanCols);
@@ -102,12 +104,13 @@ export function calculatePositions(layoutBlocks, gridConfig) {
  * @param {number} gridRows - Number of grid rows
  * @param {number} padding - Padding around each image in pixels
  * @param {number} bleed - Bleed margin in pixels
+ * @param {number} slug - Slug margin for printer marks in pixels
  * @returns {GridConfig} Grid configuration object
  */
-export function createGridConfig(pageWidth, pageHeight, gridCols, gridRows, padding = 0, bleed = 0) {
-  // Calculate usable area (excluding bleed)
-  const usableWidth = pageWidth - bleed * 2;
-  const usableHeight = pageHeight - bleed * 2;
+export function createGridConfig(pageWidth, pageHeight, gridCols, gridRows, padding = 0, bleed = 0, slug = 0) {
+  // Calculate usable area (excluding bleed and slug)
+  const usableWidth = pageWidth - (bleed + slug) * 2;
+  const usableHeight = pageHeight - (bleed + slug) * 2;
 
   // Calculate cell dimensions
   const cellWidth = Math.floor(usableWidth / gridCols);
@@ -119,7 +122,8 @@ export function createGridConfig(pageWidth, pageHeight, gridCols, gridRows, padd
     cellWidth,
     cellHeight,
     padding,
-    bleed
+    bleed,
+    slug
   };
 }
 
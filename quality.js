@@ -0,0 +1,142 @@
+
+/*  Quality Module - Sharpness, exposure and print resolution of photos
+    - One upright thumbnail per photo, decoded with JPEG shrink-on-load so memory stays
+      small; it proves sharp can decode the photo and feeds the proxy and palette
+    - Greyscale proxies for the metrics and the duplicate hash
+    - Sharpness: Laplacian variance; exposure: mean level and clipped shadows/highlights
+    - Effective DPI of a placement from its render size and the source pixels it uses
+----------------------------------------------------------------*/
+import sharp from 'sharp';
+
+// Proxy edge for analysis; large enough for focus detail, cheap to decode
+const PROXY_SIZE = 256;
+
+// What happens to placements below --minDpi
+export const LOW_RES_POLICIES = ['warn', 'refuse'];
+
+// Levels counted as clipped shadows / highlights
+const SHADOW_LEVEL = 8;
+const HIGHLIGHT_LEVEL = 247;
+
+/**
+ * @typedef {Object} GreyProxy
+ * @property {Uint8Array} grey - One byte per pixel
+ * @property {number} width - Proxy width
+ * @property {number} height - Proxy height
+ */
+
+/**
+ * @typedef {Object} PhotoQuality
+ * @property {number} sharpness - Laplacian variance of the proxy (higher is sharper)
+ * @property {{mean: number, shadows: number, highlights: number}} exposure
+ *   - Mean level (0-255) and the share of clipped shadow/highlight pixels (0-1)
+ */
+
+/**
+ * Decode an upright colour thumbnail of a photo, the only decode of it before layout
+ * @param {string} file - Photo path; sharp reads what it needs instead of the whole file
+ * @returns {Promise<Buffer>} PNG, PROXY_SIZE on its long edge
+ */
+export function loadThumbnail(file) {
+  return sharp(file)
+    .rotate()
+    .resize(PROXY_SIZE, PROXY_SIZE, { fit: 'inside' })
+    .png({ compressionLevel: 1 })
+    .toBuffer();
+}
+
+/**
+ * Decode an upright greyscale proxy of a photo
+ * @param {Buffer|string} input - Photo buffer or path
+ * @returns {Promise<GreyProxy>} Proxy pixels
+ */
+export async function loadGreyProxy(input) {
+  const { data, info } = await sharp(input)
+    .rotate()
+    .greyscale()
+    .resize(PROXY_SIZE, PROXY_SIZE, { fit: 'inside' })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  // greyscale() may still leave an alpha channel; read the first channel only
+  const { width, height, channels } = info;
+  const grey = channels === 1 ? data : Uint8Array.from({ length: width * height }, (_, i) => data[i * channels]);
+  return { grey, width, height };
+}
+
+/**
+ * Measure sharpness and exposure
+ * @param {GreyProxy} proxy - Greyscale proxy
+ * @returns {PhotoQuality} Quality metrics
+ */
+export function analyzeQuality({ grey, width, height }) {
+  return {
+    sharpness: laplacianVariance(grey, width, height),
+    exposure: exposureStats(grey)
+  };
+}
+
+// Variance of the 4-neighbour Laplacian; blur flattens edges and lowers it
+function laplacianVariance(grey, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const v = grey[i - 1] + grey[i + 1] + grey[i - width] + grey[i + width] - 4 * grey[i];
+      sum += v;
+      sumSq += v * v;
+      n++;
+    }
+  }
+  return n ? Math.round((sumSq / n - (sum / n) ** 2) * 10) / 10 : 0;
+}
+
+function exposureStats(grey) {
+  let sum = 0;
+  let shadows = 0;
+  let highlights = 0;
+  for (const v of grey) {
+    sum += v;
+    if (v <= SHADOW_LEVEL) shadows++;
+    if (v >= HIGHLIGHT_LEVEL) highlights++;
+  }
+  const n = grey.length || 1;
+  const round = v => Math.round(v * 1000) / 1000;
+  return { mean: round(sum / n), shadows: round(shadows / n), highlights: round(highlights / n) };
+}
+
+/**
+ * Print resolution a photo reaches in a placement
+ * @param {{width: number, height: number}} source - Source pixels used (crop window or whole photo)
+ * @param {number} renderWidth - Placement width in page pixels
+ * @param {number} renderHeight - Placement height in page pixels
+ * @param {number} dpi - Page resolution
+ * @param {boolean} [contain] - Whole photo fitted inside the block instead of covering it
+ * @returns {number} Effective DPI (rounded)
+ */
+export function effectiveDpi(source, renderWidth, renderHeight, dpi, contain = false) {
+  const scaleX = renderWidth / source.width;
+  const scaleY = renderHeight / source.height;
+  const scale = contain ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY);
+  return Math.round(dpi / scale);
+}
+
+/**
+ * Effective DPI of a whole photo covering a block of grid cells
+ * @param {{w: number, h: number}} photo - Oriented photo size
+ * @param {import('./layout.js').LayoutBlock} block - Block in grid cells
+ * @param {import('./layout.js').BlockGeometry} geometry - Cell size and padding in pixels
+ * @param {number} dpi - Page resolution
+ * @returns {number} Effective DPI
+ */
+export function blockDpi(photo, block, geometry, dpi) {
+  const { cellWidth, cellHeight, padding = 0 } = geometry;
+  return effectiveDpi(
+    { width: photo.w, height: photo.h },
+    Math.max(1, block.w * cellWidth - padding * 2),
+    Math.max(1, block.h * cellHeight - padding * 2),
+    dpi
+  );
+}
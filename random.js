@@ -0,0 +1,45 @@
+
+/*  Seeded Random Module - Deterministic PRNG for reproducible layouts
+    - String or numeric seeds hashed with FNV-1a
+    - mulberry32 generator with the same contract as Math.random
+----------------------------------------------------------------*/
+
+/**
+ * Hash a seed value to a 32-bit unsigned integer (FNV-1a)
+ * @param {string|number} seed - Seed value
+ * @returns {number} 32-bit unsigned hash
+ */
+function hashSeed(seed) {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator
+ * @param {string|number} seed - Seed value; equal seeds produce equal sequences
+ * @returns {() => number} Generator returning floats in [0, 1), like Math.random
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generate a fresh seed for runs that did not request one
+ * @returns {string} Seed that can be passed back via --seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0xffffffff).toString(36);
+}
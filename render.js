@@ -1,19 +1,56 @@
 
 /*  Collage Render Module - Reusable photo collage rendering
+    - Composites photo placements onto a page canvas (contain/cover fit, borders)
+    - Auto-rotates photos from their EXIF orientation before fitting
+    - Renders chapter title pages (centered text in a contrasting color)
+    - Draws photo captions and page headers/footers from the text layer (text.js)
+    - Cover fits use the placement's recorded crop window when present
+    - Smart contain fills letterbox bars with a blurred, scaled copy of the photo
+    - JSON pages may carry their own background and border colours (auto colours)
+    - Colour-managed output: pages converted into an ICC profile (sRGB by default)
+      and tagged with it; CMYK profiles write CMYK JPEG or TIFF
+    - Output as JPEG, PNG, TIFF (LZW, 8 or 16 bits), WebP or AVIF
+    - Or as SVG / responsive HTML (web.js) over resized photo derivatives, which
+      go into a folder next to the page or inline as data URIs
+    - Draws printer marks (crop, registration, optional center marks and slug
+      label) outside the trim when a bleed is configured
 ----------------------------------------------------------------*/
 import sharp from 'sharp';
 import fs from 'node:fs';
 import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { focusCrop } from './crop.js';
+import { createWebSvg, createWebHtml, WEB_FORMATS } from './web.js';
+import { captionBand, createCaptionSvg, createPageTextSvg, createTitleSvg, escapeXml } from './text.js';
+import { loadIccProfile, checkOutputFormat } from './icc.js';
+
+// Fit modes accepted by the CLI and manifest; 'auto' resolves to cover or contain at layout time
+export const FIT_MODES = ['cover', 'contain', 'smart', 'auto'];
+
+// Image formats pages and layers can be written in
+export const OUTPUT_FORMATS = ['jpg', 'png', 'tiff', 'webp', 'avif'];
+
+// Page formats: the image formats plus SVG and HTML
+export const PAGE_FORMATS = [...OUTPUT_FORMATS, ...WEB_FORMATS];
 
 /**
  * @typedef {Object} PhotoPlacement
  * @property {string} input - Path to input photo file
- * @property {Buffer} [inputBuffer] - Pre-loaded image buffer for performance
  * @property {number} x - X position on canvas
  * @property {number} y - Y position on canvas
  * @property {number} w - Width of photo area
  * @property {number} h - Height of photo area
  * @property {boolean} [aspectMatch] - Whether photo and cell aspect ratios are close
+ * @property {'cover'|'contain'|'smart'} [fit] - Fit mode; falls back to aspectMatch (contain) or cover
+ * @property {string} [capturedAt] - Resolved capture date (ISO 8601), informational
+ * @property {string} [dateSource] - Where capturedAt came from (exif, xmp, filename, mtime)
+ * @property {number} [importance] - Photo importance (0-5), informational
+ * @property {string|import('./text.js').Caption} [caption] - Caption drawn on or below the photo;
+ *   a plain string (manifest text in older layouts) is informational only
+ * @property {{x: number, y: number}} [focus] - Focal point as fractions of width/height
+ * @property {number} [page] - Page the manifest pinned this photo to
+ * @property {boolean} [large] - Manifest required a large block
+ * @property {import('./crop.js').CropRect} [crop] - Source window used for cover fits (oriented pixels)
  */
 
 /**
@@ -24,17 +61,43 @@ import fsp from 'node:fs/promises';
  * @property {number} padding - Padding between photos in pixels
  * @property {number} borderWidth - Border width around each photo in pixels
  * @property {string} borderColor - Border color (hex, e.g., '#000000')
- * @property {string} format - Output format ('jpeg' or 'png')
- * @property {number} quality - JPEG quality (1-100, ignored for PNG)
+ * @property {string} format - Output format: one of PAGE_FORMATS ('jpeg' is accepted for 'jpg')
+ * @property {number} quality - JPEG/WebP/AVIF quality (1-100, ignored for PNG and TIFF); SVG and HTML
+ *   pages use it for their JPEG photo derivatives
+ * @property {8|16} [bitDepth] - Bits per channel for TIFF and PNG (8); 16 widens the 8-bit composite
+ * @property {string} [profile] - Output ICC profile file; pages are converted into it and tagged (sRGB otherwise)
+ * @property {PrintMarks} [marks] - Printer marks drawn outside the trim area
+ * @property {string} [title] - Title text centered on the page (chapter title pages)
+ * @property {import('./text.js').PageText} [header] - Text centered at the top of the trim area
+ * @property {import('./text.js').PageText} [footer] - Text centered at the bottom of the trim area
+ * @property {(input: string) => Promise<Buffer|string>} [source] - Reads a photo, e.g. from a bounded
+ *   photo cache (cache.js); sharp reads the file from disk when omitted
+ * @property {boolean} [inline] - SVG/HTML pages embed their photos as data URIs instead of files
+ * @property {{dir: string, href: string}} [assets] - Where SVG/HTML pages write photo derivatives and
+ *   the URL prefix that references them; set by renderCollageToFile, photos are inlined without it
+ */
+
+/**
+ * @typedef {Object} PrintMarks
+ * @property {number} bleed - Bleed width in pixels (trim edge to bleed edge)
+ * @property {number} slug - Slug width in pixels (bleed edge to canvas edge), where marks are drawn
+ * @property {number} [dpi] - Output resolution, used to size mark strokes and text (default 300)
+ * @property {boolean} [centerMarks] - Also draw registration targets at the center of each edge
+ * @property {string} [label] - Job information printed in the bottom slug
+ * @property {string} [color] - Mark color (default registration black)
  */
 
 /**
  * Render a collage from photo placements
  * @param {PhotoPlacement[]} photos - Array of photo placements
  * @param {RenderOptions} options - Render options
- * @returns {Promise<Buffer>} - Image buffer
+ * @returns {Promise<Buffer>} - Image buffer, or SVG/HTML markup for the web formats
  */
 export async function renderCollage(photos, options) {
+  if (WEB_FORMATS.includes(options.format)) {
+    return renderWebPage(photos, options);
+  }
+
   const {
     width,
     height,
@@ -42,8 +105,11 @@ export async function renderCollage(photos, options) {
     padding = 0,
     borderWidth = 0,
     borderColor = '#000000',
-    format = 'jpeg',
-    quality = 92
+    marks = null,
+    title = null,
+    header = null,
+    footer = null,
+    source = readFromDisk
   } = options;
 
   const composites = [];
@@ -51,27 +117,22 @@ export async function renderCollage(photos, options) {
   // Process each photo
   for (let i = 0; i < photos.length; i++) {
     const photo = photos[i];
-    const { input, inputBuffer, x, y, w, h, aspectMatch = false } = photo;
+    const { input, aspectMatch = false, fit, crop } = photo;
 
     try {
-      // Use buffer if available, otherwise read from file
-      let imageSource;
-      if (inputBuffer) {
-        imageSource = inputBuffer;
-      } else {
-        // Check if file exists
-        if (!fs.existsSync(input)) {
-          console.log(`  ❌ File not found: ${input}`);
-          continue;
-        }
-        imageSource = input;
+      // Check if file exists
+      if (!fs.existsSync(input)) {
+        console.log(`  ❌ File not found: ${input}`);
+        continue;
       }
+      const imageSource = await source(input);
 
-      // Calculate photo area with padding - ensure integer values
-      const photoX = Math.round(x + padding);
-      const photoY = Math.round(y + padding);
-      const photoWidth = Math.round(w - (padding * 2));
-      const photoHeight = Math.round(h - (padding * 2));
+      // Photo area inside the padding, less the band of a caption below it
+      const frame = photoFrame(photo, { padding, borderWidth });
+      const { x: photoX, y: photoY, width: photoWidth, height: photoHeight } = frame;
+      if (frame.captionDropped) {
+        console.log(`  ⚠️  Block too small for caption: ${input}`);
+      }
 
       // Skip if area is too small after padding
       if (photoWidth <= 0 || photoHeight <= 0) {
@@ -79,8 +140,9 @@ export async function renderCollage(photos, options) {
         continue;
       }
 
-      // Choose fit strategy based on aspect ratio matching
-      const fitStrategy = aspectMatch ? 'contain' : 'cover';
+      // Choose fit strategy from the recorded fit, or from aspect matching for older layouts
+      const fitStrategy = fit || (aspectMatch ? 'contain' : 'cover');
+      const cropWindow = fitStrategy === 'cover' ? crop : null;
 
       // Create the composite image
       let imageBuffer;
@@ -101,12 +163,7 @@ export async function renderCollage(photos, options) {
         }).toBuffer();
 
         // Resize the photo with chosen fit strategy
-        const resizedPhoto = await sharp(imageSource)
-          .resize(photoWidth, photoHeight, {
-            fit: fitStrategy,
-            background: aspectMatch ? background : undefined
-          })
-          .toBuffer();
+        const resizedPhoto = await fitPhoto(imageSource, photoWidth, photoHeight, fitStrategy, cropWindow, background);
 
         // Composite photo on border background
         imageBuffer = await sharp(borderBackground)
@@ -124,12 +181,7 @@ export async function renderCollage(photos, options) {
         });
       } else {
         // No border - resize with chosen fit strategy
-        imageBuffer = await sharp(imageSource)
-          .resize(photoWidth, photoHeight, {
-            fit: fitStrategy,
-            background: aspectMatch ? background : undefined
-          })
-          .toBuffer();
+        imageBuffer = await fitPhoto(imageSource, photoWidth, photoHeight, fitStrategy, cropWindow, background);
 
         composites.push({
           input: imageBuffer,
@@ -138,6 +190,14 @@ export async function renderCollage(photos, options) {
         });
       }
 
+      if (frame.band) {
+        composites.push({
+          input: Buffer.from(createCaptionSvg(photoWidth, frame.caption).svg),
+          top: Math.round(frame.band.top),
+          left: photoX
+        });
+      }
+
       // console.log(`  ✅ ${i + 1}. ${input.split('/').pop()}: ${x},${y},${w},${h}`);
 
     } catch (error) {
@@ -145,8 +205,33 @@ export async function renderCollage(photos, options) {
     }
   }
 
+  if (title) {
+    composites.push({
+      input: Buffer.from(createTitleSvg(width, height, title, background)),
+      top: 0,
+      left: 0
+    });
+  }
+
+  if (header?.text || footer?.text) {
+    composites.push({
+      input: Buffer.from(createPageTextSvg(width, height, { header, footer }, marks ? marks.bleed + marks.slug : 0)),
+      top: 0,
+      left: 0
+    });
+  }
+
+  // Printer marks are composited last so nothing draws over them
+  if (marks && marks.slug > 0) {
+    composites.push({
+      input: Buffer.from(createPrintMarksSvg(width, height, marks)),
+      top: 0,
+      left: 0
+    });
+  }
+
   // Create the final collage
-  const collage = await sharp({
+  const collage = sharp({
     create: {
       width,
       height,
@@ -156,12 +241,332 @@ export async function renderCollage(photos, options) {
   })
     .composite(composites);
 
-  // Return buffer based on format
-  if (format === 'png') {
-    return await collage.png().toBuffer();
-  } else {
-    return await collage.jpeg({ quality }).toBuffer();
+  return encodeImage(collage, options);
+}
+
+/**
+ * Default photo source: the path itself, which sharp reads from disk
+ * @param {string} input - Photo path
+ * @returns {Promise<string>} The same path
+ */
+export async function readFromDisk(input) {
+  return input;
+}
+
+/**
+ * Render a page as SVG or HTML markup over resized photo derivatives (sRGB JPEG)
+ * @param {PhotoPlacement[]} photos - Array of photo placements
+ * @param {RenderOptions} options - Render options
+ * @returns {Promise<Buffer>} - SVG or HTML document
+ */
+async function renderWebPage(photos, options) {
+  const {
+    width,
+    height,
+    background = '#ffffff',
+    padding = 0,
+    borderWidth = 0,
+    borderColor = '#000000',
+    quality = 92,
+    marks = null,
+    title = null,
+    header = null,
+    footer = null,
+    assets = null,
+    source = readFromDisk
+  } = options;
+
+  if (assets) await fsp.mkdir(assets.dir, { recursive: true });
+
+  const webPhotos = [];
+  for (const [i, photo] of photos.entries()) {
+    const { input, aspectMatch = false, fit, crop } = photo;
+
+    try {
+      if (!fs.existsSync(input)) {
+        console.log(`  ❌ File not found: ${input}`);
+        continue;
+      }
+
+      const frame = photoFrame(photo, { padding, borderWidth });
+      if (frame.captionDropped) {
+        console.log(`  ⚠️  Block too small for caption: ${input}`);
+      }
+      if (frame.width <= 0 || frame.height <= 0) {
+        console.log(`  ⚠️  Photo area too small after padding: ${input}`);
+        continue;
+      }
+
+      const fitStrategy = fit || (aspectMatch ? 'contain' : 'cover');
+      const { data, ...image } = await photoDerivative(await source(input), frame, fitStrategy, crop, quality);
+
+      // Derivatives are numbered like the page's blocks, so repeated file names cannot clash
+      let href;
+      if (assets) {
+        const file = `${String(i + 1).padStart(2, '0')}-${path.parse(input).name}.jpg`;
+        await fsp.writeFile(path.join(assets.dir, file), data);
+        href = `${assets.href}/${encodeURIComponent(file)}`;
+      } else {
+        href = `data:image/jpeg;base64,${data.toString('base64')}`;
+      }
+
+      webPhotos.push({ ...frame, ...image, fit: fitStrategy, href });
+    } catch (error) {
+      console.log(`  ❌ Error processing ${input}: ${error.message}`);
+    }
+  }
+
+  const page = {
+    width,
+    height,
+    inset: marks ? marks.bleed + marks.slug : 0,
+    background,
+    borderWidth,
+    borderColor,
+    title,
+    header,
+    footer,
+    photos: webPhotos
+  };
+  return Buffer.from(options.format === 'svg' ? createWebSvg(page) : createWebHtml(page));
+}
+
+// The whole upright photo, scaled so the part shown in the block is at page resolution (never enlarged);
+// the crop window is returned in derivative pixels so the front end can still move it
+async function photoDerivative(imageSource, frame, fit, crop, quality) {
+  const meta = await sharp(imageSource).metadata();
+  const [srcW, srcH] = (meta.orientation || 1) >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+
+  const window = fit === 'cover'
+    ? crop || focusCrop(srcW, srcH, frame.width, frame.height)
+    : { left: 0, top: 0, width: srcW, height: srcH };
+  const scale = Math.min(1, fit === 'cover'
+    ? frame.width / window.width
+    : Math.min(frame.width / srcW, frame.height / srcH));
+
+  const imageWidth = Math.max(1, Math.round(srcW * scale));
+  const imageHeight = Math.max(1, Math.round(srcH * scale));
+  const data = await encodeImage(loadPhoto(imageSource).resize(imageWidth, imageHeight, { fit: 'fill' }), { format: 'jpg', quality });
+
+  return {
+    data,
+    imageWidth,
+    imageHeight,
+    crop: {
+      left: Math.round(window.left * scale),
+      top: Math.round(window.top * scale),
+      width: Math.min(imageWidth, Math.round(window.width * scale)),
+      height: Math.min(imageHeight, Math.round(window.height * scale))
+    }
+  };
+}
+
+/**
+ * Encode a pipeline in an output format, converted from sRGB into the output profile and tagged with it
+ * @param {sharp.Sharp} pipeline - Image to encode
+ * @param {{format?: string, quality?: number, bitDepth?: number, profile?: string}} options - Render options
+ * @returns {Promise<Buffer>} Encoded image; CMYK profiles give CMYK JPEG or TIFF
+ */
+export async function encodeImage(pipeline, { format = 'jpeg', quality = 92, bitDepth = 8, profile = null } = {}) {
+  // Composites carry an alpha channel; labs and RIPs reject CMYK with an extra channel, and pages
+  // are opaque anyway. sharp drops it after compositing, before the profile and rgb16 conversions
+  const tagged = pipeline.removeAlpha().withMetadata({ icc: profile || 'srgb' });
+  // Pages are composited at 8 bits, so 16-bit output only widens the container for tools that
+  // expect it; it adds no precision. Only TIFF and PNG store it
+  const deep = bitDepth === 16 && (format === 'tiff' || format === 'png') ? tagged.toColourspace('rgb16') : tagged;
+
+  const encoded = format === 'png' ? deep.png()
+    : format === 'tiff' ? deep.tiff({ compression: 'lzw', predictor: 'horizontal' })
+    : format === 'webp' ? deep.webp({ quality })
+    : format === 'avif' ? deep.avif({ quality })
+    : deep.jpeg({ quality });
+  const data = await encoded.toBuffer();
+
+  // Written images are plain RGB, CMYK or grey: anything else is a pipeline bug, not a page to ship
+  const { channels, space } = await sharp(data).metadata();
+  const expected = space === 'cmyk' ? 4 : space === 'b-w' || space === 'grey16' ? 1 : 3;
+  if (channels !== expected) {
+    throw new Error(`Encoded ${format} has ${channels} channels (${space}); expected ${expected}`);
+  }
+  return data;
+}
+
+/**
+ * File extension for an output format
+ * @param {string} format - Output format
+ * @returns {string} Extension without the dot
+ */
+export function outputExtension(format) {
+  return format === 'tiff' ? 'tif' : PAGE_FORMATS.includes(format) ? format : 'jpg';
+}
+
+/**
+ * @typedef {Object} PhotoFrame
+ * @property {number} x - Photo left edge on the canvas
+ * @property {number} y - Photo top edge on the canvas
+ * @property {number} width - Photo width
+ * @property {number} height - Photo height
+ * @property {import('./text.js').Caption|null} caption - Caption drawn with the photo
+ * @property {{top: number, height: number, lines: string[]}|null} band - Caption band on the canvas
+ * @property {boolean} [captionDropped] - The block was too small for its caption
+ */
+
+/**
+ * Photo rectangle of a placement inside its padding, and the caption band drawn with it
+ * @param {PhotoPlacement} photo - Placement
+ * @param {{padding?: number, borderWidth?: number}} options - Spacing from the render options
+ * @returns {PhotoFrame} Frame in canvas pixels
+ */
+export function photoFrame(photo, { padding = 0, borderWidth = 0 } = {}) {
+  const x = Math.round(photo.x + padding);
+  const y = Math.round(photo.y + padding);
+  const width = Math.round(photo.w - (padding * 2));
+  const areaHeight = Math.round(photo.h - (padding * 2));
+
+  // A caption may take up to half the block
+  const caption = photo.caption?.text ? photo.caption : null;
+  const band = caption && captionBand(caption, width);
+  if (!band || band.height * 2 > areaHeight) {
+    return { x, y, width, height: areaHeight, caption: null, band: null, captionDropped: !!band };
   }
+
+  // Captions below the photo take their band off the bottom of the block
+  const below = caption.position === 'below';
+  const height = below ? areaHeight - band.height - borderWidth : areaHeight;
+  const top = caption.position === 'top' ? y : below ? y + height + borderWidth : y + height - band.height;
+  return { x, y, width, height, caption, band: { ...band, top } };
+}
+
+/**
+ * Open a photo upright, cut to its crop window when one was chosen at layout time
+ * @param {Buffer|string} imageSource - Photo buffer or path
+ * @param {import('./crop.js').CropRect} [crop] - Source window in oriented pixels
+ * @returns {sharp.Sharp} Pipeline ready for resizing
+ */
+export function loadPhoto(imageSource, crop) {
+  // Apply EXIF orientation first so the fit and crop match the displayed photo
+  const pipeline = sharp(imageSource).rotate();
+  return crop ? pipeline.extract(crop) : pipeline;
+}
+
+/**
+ * Resize a photo into its block with the given fit mode
+ * @param {Buffer|string} imageSource - Photo buffer or path
+ * @param {number} width - Block width in pixels
+ * @param {number} height - Block height in pixels
+ * @param {'cover'|'contain'|'smart'} fit - Fit mode
+ * @param {import('./crop.js').CropRect} [crop] - Source window for cover fits
+ * @param {string} background - Letterbox color for contain
+ * @returns {Promise<Buffer>} Photo sized exactly to the block
+ */
+export async function fitPhoto(imageSource, width, height, fit, crop, background) {
+  return (await fitPipeline(imageSource, width, height, fit, crop, background)).toBuffer();
+}
+
+/**
+ * Pipeline that resizes a photo into its block, left unencoded so callers choose the format
+ * @param {Buffer|string} imageSource - Photo buffer or path
+ * @param {number} width - Block width in pixels
+ * @param {number} height - Block height in pixels
+ * @param {'cover'|'contain'|'smart'} fit - Fit mode
+ * @param {import('./crop.js').CropRect} [crop] - Source window for cover fits
+ * @param {string} background - Letterbox color for contain
+ * @returns {Promise<sharp.Sharp>} Pipeline producing the photo at the block size
+ */
+export async function fitPipeline(imageSource, width, height, fit, crop, background) {
+  if (fit !== 'smart') {
+    return loadPhoto(imageSource, crop)
+      .resize(width, height, {
+        fit,
+        background: fit === 'contain' ? background : undefined
+      });
+  }
+
+  // Smart contain: the whole photo over a blurred cover-fit copy of itself.
+  // Blurring a small copy and scaling it up is far cheaper than a large-sigma blur.
+  const small = await loadPhoto(imageSource)
+    .resize(Math.max(1, Math.round(width / 8)), Math.max(1, Math.round(height / 8)), { fit: 'cover' })
+    .blur(4)
+    .modulate({ brightness: 0.85 })
+    .toBuffer();
+  const fill = await sharp(small).resize(width, height, { fit: 'fill' }).toBuffer();
+  const photo = await loadPhoto(imageSource)
+    .resize(width, height, { fit: 'inside' })
+    .toBuffer({ resolveWithObject: true });
+
+  return sharp(fill)
+    .composite([{
+      input: photo.data,
+      left: Math.round((width - photo.info.width) / 2),
+      top: Math.round((height - photo.info.height) / 2)
+    }]);
+}
+
+/**
+ * Build an SVG overlay with crop marks, registration targets and slug label.
+ * Marks stay inside the slug so they never touch the bleed or trim areas.
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {PrintMarks} marks - Mark configuration
+ * @returns {string} SVG document sized to the canvas
+ */
+export function createPrintMarksSvg(width, height, marks) {
+  const { bleed = 0, slug, dpi = 300, centerMarks = false, label, color = '#000000' } = marks;
+  const stroke = Math.max(1, Math.round(dpi * 0.25 / 72)); // 0.25pt hairline
+  const trim = slug + bleed;
+  const markStart = slug;                // crop marks begin at the bleed edge
+  const markEnd = Math.round(slug * 0.25);
+  const radius = Math.round(slug * 0.2);
+  const elements = [];
+
+  const line = (x1, y1, x2, y2) =>
+    elements.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" />`);
+
+  const target = (cx, cy) => {
+    elements.push(`<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" />`);
+    elements.push(`<circle cx="${cx}" cy="${cy}" r="${Math.round(radius / 2)}" fill="${color}" />`);
+    line(cx - radius * 1.5, cy, cx + radius * 1.5, cy);
+    line(cx, cy - radius * 1.5, cx, cy + radius * 1.5);
+  };
+
+  // Crop marks extend outward from each trim corner, offset by the bleed
+  const corners = [
+    [trim, trim, -1, -1],
+    [width - trim, trim, 1, -1],
+    [trim, height - trim, -1, 1],
+    [width - trim, height - trim, 1, 1]
+  ];
+  for (const [cx, cy, dx, dy] of corners) {
+    const xOuter = dx < 0 ? 0 : width;
+    const yOuter = dy < 0 ? 0 : height;
+    line(xOuter - dx * markStart, cy, xOuter - dx * markEnd, cy);
+    line(cx, yOuter - dy * markStart, cx, yOuter - dy * markEnd);
+  }
+
+  // Registration targets sit diagonally outside each corner
+  const half = Math.round(slug / 2);
+  target(half, half);
+  target(width - half, half);
+  target(half, height - half);
+  target(width - half, height - half);
+
+  if (centerMarks) {
+    target(Math.round(width / 2), half);
+    target(Math.round(width / 2), height - half);
+    target(half, Math.round(height / 2));
+    target(width - half, Math.round(height / 2));
+  }
+
+  if (label) {
+    const fontSize = Math.max(6, Math.min(Math.round(slug * 0.3), Math.round(dpi * 7 / 72)));
+    elements.push(
+      `<text x="${trim + radius * 2}" y="${height - half + Math.round(fontSize / 3)}" ` +
+      `font-family="sans-serif" font-size="${fontSize}" fill="${color}" stroke="none">${escapeXml(label)}</text>`
+    );
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<g stroke="${color}" stroke-width="${stroke}">${elements.join('')}</g></svg>`;
 }
 
 /**
@@ -171,6 +576,11 @@ export async function renderCollage(photos, options) {
  * @param {string} outputPath - Output file path
  */
 export async function renderCollageToFile(photos, options, outputPath) {
+  // SVG and HTML pages keep their photos in a folder named after the page unless inlined
+  if (WEB_FORMATS.includes(options.format) && !options.inline) {
+    const name = path.basename(outputPath, path.extname(outputPath));
+    options = { ...options, assets: { dir: path.join(path.dirname(outputPath), name), href: encodeURIComponent(name) } };
+  }
   const buffer = await renderCollage(photos, options);
   await fsp.writeFile(outputPath, buffer);
 }
@@ -191,12 +601,15 @@ export async function renderFromJSON(jsonPath, options, outputDir) {
 
   // Create output directory
   await fsp.mkdir(outputDir, { recursive: true });
+  // Profiles recorded in the layout already checked against the output format
+  const checkedProfiles = new Set();
   // Render each page
   for (let pageIndex = 0; pageIndex < layoutData.length; pageIndex++) {
     const pageData = layoutData[pageIndex];
-    const { files } = pageData;
+    const { files = [] } = pageData;
+    const metadata = pageData.metadata || {};
 
-    if (!files || files.length === 0) {
+    if (files.length === 0 && !metadata.title) {
       console.log(`⚠️  Page ${pageIndex + 1}: No files to render`);
       continue;
     }
@@ -208,17 +621,33 @@ export async function renderFromJSON(jsonPath, options, outputDir) {
       maxY = Math.max(maxY, file.y + file.h);
     }
 
+    // A profile given to the renderer overrides the one the layout was made with; a recorded
+    // CMYK profile must suit the output format as much as one given on the command line
+    const profile = options.profile || metadata.profile;
+    if (profile && !WEB_FORMATS.includes(options.format) && !checkedProfiles.has(profile)) {
+      checkOutputFormat(await loadIccProfile(profile), options);
+      checkedProfiles.add(profile);
+    }
+
+    // Prefer the recorded page size and marks so bleed and slug are preserved
     const pageOptions = {
       ...options,
-      width: maxX,
-      height: maxY
+      width: metadata.width || maxX,
+      height: metadata.height || maxY,
+      marks: metadata.marks || options.marks,
+      title: metadata.title,
+      header: metadata.header,
+      footer: metadata.footer,
+      profile,
+      // Colours picked per page by --bg auto / --borderColor auto
+      background: metadata.background || options.background,
+      borderColor: metadata.borderColor || options.borderColor
     };
 
     // console.log(`🖼️  Page ${pageIndex + 1}: ${maxX}×${maxY}px with ${files.length} photos`);
 
     // Generate output filename
-    const outputExtension = options.format === 'png' ? 'png' : 'jpg';
-    const outputFilename = `page-${pageIndex + 1}.${outputExtension}`;
+    const outputFilename = `page-${pageIndex + 1}.${outputExtension(options.format)}`;
     const outputPath = `${outputDir}/${outputFilename}`;
 
     // Render the page
@@ -0,0 +1,279 @@
+
+/*  Scoring Module - How well a photo suits a layout block
+    - Built-in criteria: aspect, importance, orientation, harmony, resolution,
+      sharpness, exposure (0-100 each)
+    - Weights and thresholds from a JSON/YAML config file and --weight flags
+    - Extra criteria from local JS modules (plugins)
+----------------------------------------------------------------*/
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import YAML from 'yaml';
+import { blockDpi } from './quality.js';
+import { blockPixelRatio } from './layout.js';
+import { paletteDistance, hueDistance } from './color.js';
+
+/**
+ * @typedef {Object} ScoringCriterion
+ * @property {string} name - Criterion name, also its key in `weights`
+ * @property {number} [weight] - Default weight when the config does not set one (0.1)
+ * @property {(photo: Object, block: import('./layout.js').LayoutBlock, context: Object, thresholds: Object) => number} score
+ *   - Synchronous score from 0 (poor) to 100 (ideal)
+ * @property {(photos: Object[]) => Promise<void>|void} [prepare] - Called once with every photo before layout,
+ *   e.g. to measure sharpness ahead of the synchronous `score` calls
+ */
+
+/**
+ * @typedef {Object} ScoringConfig
+ * @property {Object<string, number>} weights - Weight per criterion name
+ * @property {Object} thresholds - Tunables of the built-in criteria
+ * @property {string[]} criteria - Plugin module paths
+ */
+
+export const DEFAULT_SCORING = {
+  weights: {
+    aspect: 0.4, importance: 0.3, orientation: 0.2, harmony: 0.1,
+    resolution: 0.2, sharpness: 0.1, exposure: 0.05
+  },
+  thresholds: {
+    aspect: { penalty: 50 },              // points lost per unit of aspect difference
+    importance: {
+      top: 4,                             // importance that earns a huge block
+      high: 3,                            // importance that wants a large block
+      medium: 2,                          // importance suited to a medium block
+      low: 1,                             // importance at home in a small block
+      smallBlock: 2,                      // cells of the nominal --grid page
+      largeBlock: 4,                      // cells of the nominal --grid page
+      hugeBlock: 6                        // cells of the nominal --grid page
+    },
+    orientation: { squareTolerance: 0.1 }, // aspect within 1 ± tolerance counts as square
+    harmony: { maxDistance: 0.25 },       // OKLab palette distance that scores the minimum
+    resolution: { goodDpi: 240 },         // effective DPI that scores full marks
+    sharpness: {
+      sharp: 100,                         // Laplacian variance of a crisp photo
+      largeShare: 0.25                    // share of the page at which a block counts as fully large
+    },
+    exposure: {
+      clipped: 0.1,                       // clipped pixel share that counts as badly exposed
+      meanTolerance: 70,                  // mean level may stray this far from mid-grey
+      largeShare: 0.25
+    }
+  },
+  criteria: []
+};
+
+/**
+ * Block size in cells of the nominal --grid page, so size thresholds hold on any grid, template
+ * or flow layout (relative templates and flow layouts use 1px cells); without page geometry,
+ * the block's own cells
+ * @param {import('./layout.js').LayoutBlock} block - Layout block
+ * @param {{geometry?: Object, pageArea?: number, gridCells?: number}} context - Page context
+ * @returns {number} Size in nominal cells
+ */
+export function blockCells(block, { geometry, pageArea, gridCells } = {}) {
+  if (!geometry || !pageArea || !gridCells) return block.w * block.h;
+  return (block.w * geometry.cellWidth * block.h * geometry.cellHeight) / pageArea * gridCells;
+}
+
+// Block ratio as printed: cells need not be square (--cols/--rows, templates on other page shapes)
+const blockRatio = (block, context) => blockPixelRatio(block.w, block.h, context.geometry);
+
+// How large a block is for quality purposes, 0-1; flaws matter less in small blocks
+function blockWeight(block, context, largeShare) {
+  const { cellWidth, cellHeight } = context.geometry;
+  return Math.min(1, (block.w * cellWidth * block.h * cellHeight) / (context.pageArea * largeShare));
+}
+
+// Built-in criteria share the plugin signature; quality criteria are neutral without page geometry
+const BUILTIN_CRITERIA = [
+  {
+    name: 'aspect',
+    score(photo, block, context, { aspect }) {
+      const aspectDiff = Math.abs(blockRatio(block, context) - photo.w / photo.h);
+      // Score decreases as aspect difference increases
+      return Math.max(0, 100 - aspectDiff * aspect.penalty);
+    }
+  },
+  {
+    name: 'importance',
+    score(photo, block, context, { importance: t }) {
+      const layoutSize = blockCells(block, context);
+      const importance = photo.importance || 0;
+
+      // High importance photos should get large layouts
+      if (importance >= t.high && layoutSize >= t.largeBlock) return 100;
+      // Low importance photos fit well in small layouts
+      if (importance <= t.low && layoutSize <= t.smallBlock) return 90;
+      // Medium importance photos work well in medium layouts
+      if (importance >= t.medium && layoutSize >= t.smallBlock && layoutSize <= t.largeBlock) return 80;
+      // Very large layouts should prioritize high importance
+      if (layoutSize >= t.hugeBlock) {
+        return importance >= t.top ? 100 : Math.max(0, 60 - (t.top - importance) * 15);
+      }
+
+      // Default scoring based on size-importance correlation
+      return Math.max(30, 70 - Math.abs(layoutSize - importance) * 10);
+    }
+  },
+  {
+    name: 'orientation',
+    score(photo, block, context, { orientation }) {
+      const shape = aspect => aspect > 1 + orientation.squareTolerance ? 'landscape'
+        : aspect < 1 - orientation.squareTolerance ? 'portrait' : 'square';
+      const photoShape = shape(photo.w / photo.h);
+      const blockShape = shape(blockRatio(block, context));
+
+      // Perfect orientation matches
+      if (photoShape === blockShape) return photoShape === 'square' ? 100 : 90;
+      // Acceptable matches
+      if (photoShape === 'square') return 70;
+      if (blockShape === 'square') return 60;
+      // Poor matches
+      return 30;
+    }
+  },
+  {
+    name: 'harmony',
+    score(photo, block, context, { harmony }) {
+      // Palettes compare lightness and chroma as well as hue
+      if (photo.palette && context.palette?.length) {
+        const distance = paletteDistance(photo.palette.swatches, context.palette);
+        return Math.max(20, 100 - (distance / harmony.maxDistance) * 80);
+      }
+
+      // Neutral unless --harmony gave the page an average hue
+      if (photo.hue === undefined || context.averageHue === undefined) return 50;
+
+      // Closer hues get higher scores
+      return Math.max(20, 100 - (hueDistance(photo.hue, context.averageHue) / 180) * 80);
+    }
+  },
+  {
+    name: 'resolution',
+    score(photo, block, context, { resolution }) {
+      if (!context.geometry) return 100;
+      // Too few pixels for the block: low-resolution photos are steered into small blocks
+      return Math.min(100, 100 * blockDpi(photo, block, context.geometry, context.dpi) / resolution.goodDpi);
+    }
+  },
+  {
+    name: 'sharpness',
+    score(photo, block, context, { sharpness: t }) {
+      if (!context.geometry || photo.sharpness === undefined) return 100;
+      const softness = Math.max(0, 1 - photo.sharpness / t.sharp);
+      return 100 - 100 * softness * blockWeight(block, context, t.largeShare);
+    }
+  },
+  {
+    name: 'exposure',
+    score(photo, block, context, { exposure: t }) {
+      if (!context.geometry || !photo.exposure) return 100;
+      const { mean, shadows, highlights } = photo.exposure;
+      const clipping = (shadows + highlights) / t.clipped;
+      const offset = Math.max(0, Math.abs(mean - 128) - t.meanTolerance) / (128 - t.meanTolerance);
+      return 100 - 100 * Math.min(1, clipping + offset) * blockWeight(block, context, t.largeShare);
+    }
+  }
+];
+
+/**
+ * Build the active scoring config: defaults, then the config file, then CLI flags
+ * @param {Object} options
+ * @param {string} [options.file] - JSON or YAML config with weights, thresholds and criteria
+ * @param {string[]} [options.weights] - "name=value" overrides from --weight
+ * @param {string[]} [options.criteria] - Plugin module paths from --criteria
+ * @returns {Promise<ScoringConfig>} Active config
+ */
+export async function loadScoringConfig({ file, weights = [], criteria = [] } = {}) {
+  let fromFile = {};
+  if (file) {
+    const text = await fsp.readFile(file, 'utf8');
+    fromFile = (/\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text)) || {};
+  }
+
+  const config = {
+    weights: { ...DEFAULT_SCORING.weights, ...fromFile.weights },
+    thresholds: mergeThresholds(DEFAULT_SCORING.thresholds, fromFile.thresholds || {}),
+    // Plugin paths in the file are relative to the file
+    criteria: [
+      ...(fromFile.criteria || []).map(p => path.resolve(path.dirname(file), p)),
+      ...criteria.map(p => path.resolve(p))
+    ]
+  };
+
+  for (const spec of weights) {
+    const [name, value] = spec.split('=');
+    config.weights[name] = Number(value);
+  }
+  for (const [name, value] of Object.entries(config.weights)) {
+    if (!(Number.isFinite(value) && value >= 0)) {
+      throw new Error(`Invalid scoring weight for ${name}: ${value}. Use a number >= 0`);
+    }
+  }
+
+  return config;
+}
+
+// Only keys the defaults know are merged, so typos fail loudly instead of doing nothing
+function mergeThresholds(defaults, overrides, prefix = '') {
+  const merged = { ...defaults };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (!(key in defaults)) throw new Error(`Unknown scoring threshold: ${prefix}${key}`);
+    if (typeof defaults[key] === 'object') {
+      merged[key] = mergeThresholds(defaults[key], value || {}, `${prefix}${key}.`);
+    } else if (Number.isFinite(Number(value))) {
+      merged[key] = Number(value);
+    } else {
+      throw new Error(`Invalid scoring threshold ${prefix}${key}: ${value}`);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Load plugin criteria; a module default-exports one criterion or an array of them
+ * @param {string[]} modules - Absolute module paths
+ * @returns {Promise<ScoringCriterion[]>} Loaded criteria
+ */
+export async function loadCriteria(modules) {
+  const loaded = [];
+  for (const file of modules) {
+    const mod = await import(pathToFileURL(file).href);
+    const exported = mod.default ?? mod.criteria;
+    for (const criterion of [].concat(exported ?? [])) {
+      if (!criterion?.name || typeof criterion.score !== 'function') {
+        throw new Error(`Scoring plugin ${file} must export { name, score(photo, block, context) }`);
+      }
+      if (BUILTIN_CRITERIA.some(c => c.name === criterion.name)) {
+        throw new Error(`Scoring plugin ${file} redefines built-in criterion: ${criterion.name}`);
+      }
+      loaded.push(criterion);
+    }
+  }
+  return loaded;
+}
+
+/**
+ * Create the weighted photo/block scorer
+ * @param {ScoringConfig} config - Active config
+ * @param {ScoringCriterion[]} plugins - Loaded plugin criteria
+ * @returns {{score: (photo: Object, block: Object, context: Object) => number, weights: Object<string, number>}}
+ *   Scorer and the weight applied to every criterion
+ */
+export function createScorer(config, plugins = []) {
+  const criteria = [...BUILTIN_CRITERIA, ...plugins];
+  const weights = Object.fromEntries(criteria.map(c =>
+    [c.name, config.weights[c.name] ?? c.weight ?? 0.1]));
+
+  const unknown = Object.keys(config.weights).filter(name => !(name in weights));
+  if (unknown.length) {
+    throw new Error(`Scoring weights for unknown criteria: ${unknown.join(', ')}`);
+  }
+
+  const active = criteria.filter(c => weights[c.name] > 0);
+  return {
+    weights,
+    score: (photo, block, context) => active.reduce((total, c) =>
+      total + weights[c.name] * c.score(photo, block, context, config.thresholds), 0)
+  };
+}
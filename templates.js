@@ -0,0 +1,179 @@
+
+/*  Template Module - Named, designer-approved page layouts
+    - Blocks in grid units (cols x rows) or relative units (fractions of the page)
+    - Built-in library, JSON/YAML template files, page-by-page rotation
+----------------------------------------------------------------*/
+import fsp from 'node:fs/promises';
+import path from 'node:path';
+import YAML from 'yaml';
+
+/**
+ * @typedef {Object} TemplateBlock
+ * @property {number} x - Left edge (cells, or fraction of page width for relative units)
+ * @property {number} y - Top edge (cells, or fraction of page height)
+ * @property {number} w - Width (cells, or fraction of page width)
+ * @property {number} h - Height (cells, or fraction of page height)
+ */
+
+/**
+ * @typedef {Object} PageTemplate
+ * @property {string} name - Template name
+ * @property {'grid'|'relative'} [units] - Block units (default grid)
+ * @property {number} [cols] - Grid columns (grid units only)
+ * @property {number} [rows] - Grid rows (grid units only)
+ * @property {TemplateBlock[]} blocks - Photo blocks in placement order
+ */
+
+// Built-ins use an 8x12 grid: square cells on 2:3 portrait pages such as the default 24x36in
+export const BUILTIN_TEMPLATES = {
+  'hero-4': {
+    name: 'hero-4',
+    cols: 8,
+    rows: 12,
+    blocks: [
+      { x: 0, y: 0, w: 8, h: 6 },
+      { x: 0, y: 6, w: 4, h: 3 }, { x: 4, y: 6, w: 4, h: 3 },
+      { x: 0, y: 9, w: 4, h: 3 }, { x: 4, y: 9, w: 4, h: 3 }
+    ]
+  },
+  'triptych': {
+    name: 'triptych',
+    cols: 8,
+    rows: 12,
+    blocks: [
+      { x: 1, y: 0, w: 6, h: 4 },
+      { x: 1, y: 4, w: 6, h: 4 },
+      { x: 1, y: 8, w: 6, h: 4 }
+    ]
+  },
+  'banner-2x2': {
+    name: 'banner-2x2',
+    cols: 8,
+    rows: 12,
+    blocks: [
+      { x: 1, y: 0, w: 6, h: 4 },
+      { x: 0, y: 4, w: 4, h: 4 }, { x: 4, y: 4, w: 4, h: 4 },
+      { x: 0, y: 8, w: 4, h: 4 }, { x: 4, y: 8, w: 4, h: 4 }
+    ]
+  },
+  'duo': {
+    name: 'duo',
+    cols: 8,
+    rows: 12,
+    blocks: [
+      { x: 0, y: 0, w: 8, h: 6 },
+      { x: 0, y: 6, w: 8, h: 6 }
+    ]
+  },
+  'quad': {
+    name: 'quad',
+    cols: 8,
+    rows: 12,
+    blocks: [
+      { x: 0, y: 0, w: 4, h: 6 }, { x: 4, y: 0, w: 4, h: 6 },
+      { x: 0, y: 6, w: 4, h: 6 }, { x: 4, y: 6, w: 4, h: 6 }
+    ]
+  }
+};
+
+/**
+ * Resolve a --template value into the list of templates to rotate through
+ * @param {string} spec - Built-in name, comma-separated names, "all", or a .json/.yaml file
+ * @returns {Promise<PageTemplate[]>} Templates in rotation order
+ */
+export async function resolveTemplates(spec) {
+  if (spec === 'all') return Object.values(BUILTIN_TEMPLATES);
+
+  const templates = [];
+  for (const part of spec.split(',').map(p => p.trim()).filter(Boolean)) {
+    if (BUILTIN_TEMPLATES[part]) {
+      templates.push(BUILTIN_TEMPLATES[part]);
+    } else if (/\.(json|ya?ml)$/i.test(part)) {
+      templates.push(...await loadTemplateFile(part));
+    } else {
+      throw new Error(`Unknown template: ${part}. Built-ins: ${Object.keys(BUILTIN_TEMPLATES).join(', ')}, or pass a .json/.yaml file`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Load one template or a list of templates from a JSON or YAML file
+ * @param {string} file - Template file path
+ * @returns {Promise<PageTemplate[]>} Checked templates
+ */
+async function loadTemplateFile(file) {
+  const text = await fsp.readFile(file, 'utf8');
+  const raw = /\.json$/i.test(file) ? JSON.parse(text) : YAML.parse(text);
+  const list = Array.isArray(raw) ? raw : [raw];
+  return list.map((template, i) =>
+    checkTemplate({ name: `${path.basename(file)}#${i + 1}`, ...template }));
+}
+
+// Reject templates whose blocks leave the page or overlap
+function checkTemplate(template) {
+  const { name, units = 'grid', blocks } = template;
+  if (!Array.isArray(blocks) || blocks.length === 0) {
+    throw new Error(`Template ${name} has no blocks`);
+  }
+
+  const maxX = units === 'relative' ? 1 : template.cols;
+  const maxY = units === 'relative' ? 1 : template.rows;
+  if (units === 'grid' && !(Number.isInteger(maxX) && Number.isInteger(maxY) && maxX > 0 && maxY > 0)) {
+    throw new Error(`Template ${name} needs integer "cols" and "rows" for grid units`);
+  }
+  if (units !== 'grid' && units !== 'relative') {
+    throw new Error(`Template ${name} has invalid units: ${units} (use grid or relative)`);
+  }
+
+  blocks.forEach((b, i) => {
+    const values = [b.x, b.y, b.w, b.h];
+    const valid = values.every(Number.isFinite) && b.w > 0 && b.h > 0 && b.x >= 0 && b.y >= 0
+      && b.x + b.w <= maxX + 1e-9 && b.y + b.h <= maxY + 1e-9
+      && (units === 'relative' || values.every(Number.isInteger));
+    if (!valid) throw new Error(`Template ${name} block ${i} is outside the page or malformed`);
+
+    for (let j = 0; j < i; j++) {
+      const o = blocks[j];
+      if (b.x < o.x + o.w - 1e-9 && o.x < b.x + b.w - 1e-9 && b.y < o.y + o.h - 1e-9 && o.y < b.y + b.h - 1e-9) {
+        throw new Error(`Template ${name} blocks ${j} and ${i} overlap`);
+      }
+    }
+  });
+
+  return { ...template, units };
+}
+
+/**
+ * Turn a template into layout blocks and the grid they live on. Relative templates
+ * use 1px cells over the usable page area so they share the grid positioning path.
+ * @param {PageTemplate} template - Template to apply
+ * @param {number} usableWidth - Usable page width in pixels
+ * @param {number} usableHeight - Usable page height in pixels
+ * @returns {{cols: number, rows: number, blocks: import('./layout.js').LayoutBlock[]}} Grid and blocks
+ */
+export function templateLayout(template, usableWidth, usableHeight) {
+  if (template.units !== 'relative') {
+    return {
+      cols: template.cols,
+      rows: template.rows,
+      blocks: template.blocks.map((b, index) => ({ x: b.x, y: b.y, w: b.w, h: b.h, index }))
+    };
+  }
+
+  return {
+    cols: usableWidth,
+    rows: usableHeight,
+    blocks: template.blocks.map((b, index) => {
+      const left = Math.round(b.x * usableWidth);
+      const top = Math.round(b.y * usableHeight);
+      return {
+        x: left,
+        y: top,
+        w: Math.max(1, Math.round((b.x + b.w) * usableWidth) - left),
+        h: Math.max(1, Math.round((b.y + b.h) * usableHeight) - top),
+        index
+      };
+    })
+  };
+}
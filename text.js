@@ -0,0 +1,238 @@
+
+/*  Text Module - Captions, page headers and footers as SVG overlays
+    - Caption templates filled from manifest text, capture date, place and file name
+    - Captions over the top/bottom of a photo on a scrim, or in a band below it
+    - Page header/footer inside the trim area, e.g. book name and page number
+    - Chapter title pages: the title centered in a color contrasting the background
+    - Fonts resolve through fontconfig in sharp's SVG renderer (librsvg); the bundled
+      DejaVu Sans in fonts/ is added to the system fonts unless FONTCONFIG_FILE is set
+    - Text geometry is shared with the PDF builder, which draws the same boxes as vectors
+----------------------------------------------------------------*/
+import { fileURLToPath } from 'node:url';
+
+// Read by fontconfig when sharp first renders text, so setting it at import is early enough
+process.env.FONTCONFIG_FILE ??= fileURLToPath(new URL('./fonts/fonts.conf', import.meta.url));
+
+export const CAPTION_POSITIONS = ['bottom', 'top', 'below'];
+
+// Font stack tried in order; DejaVu Sans is bundled, the others cover a user-set FONTCONFIG_FILE and browsers
+export const DEFAULT_FONT = "'DejaVu Sans', 'Liberation Sans', Arial, Helvetica, sans-serif";
+
+// Average sans-serif glyph width in em, used to wrap text without measuring it
+const GLYPH_WIDTH = 0.55;
+export const LINE_HEIGHT = 1.25;
+
+/**
+ * @typedef {Object} TextStyle
+ * @property {number} size - Font size in pixels
+ * @property {string} color - Text color (hex)
+ * @property {number} [scrim] - Opacity (0-1) of the band behind the text; 0 draws none
+ * @property {string} [scrimColor] - Scrim color (hex), contrasting the text by default
+ * @property {string} [font] - CSS font-family list
+ */
+
+/**
+ * @typedef {TextStyle & {text: string, position: 'bottom'|'top'|'below'}} Caption
+ *   - bottom/top overlay the photo; below reserves a band under it
+ */
+
+/**
+ * @typedef {TextStyle & {text: string}} PageText
+ */
+
+/**
+ * Fill a caption template; separators left dangling by empty fields are dropped
+ * @param {string} template - Text with {name} placeholders, e.g. "{date} · {place}"
+ * @param {Object<string, string|number|undefined>} fields - Placeholder values
+ * @returns {string} Caption text, empty when every field was empty
+ */
+export function formatText(template, fields) {
+  return template
+    .replace(/\{(\w+)\}/g, (_, name) => fields[name] ?? '')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s·•|,–—-]+|[\s·•|,–—-]+$/g, '');
+}
+
+/**
+ * Break text into lines that fit a width, ending the last line with an ellipsis if it overflows
+ * @param {string} text - Text to wrap
+ * @param {number} width - Available width in pixels
+ * @param {number} size - Font size in pixels
+ * @param {number} [maxLines] - Most lines to use (2)
+ * @returns {string[]} Lines
+ */
+export function wrapText(text, width, size, maxLines = 2) {
+  const maxChars = Math.max(1, Math.floor(width / (size * GLYPH_WIDTH)));
+  const lines = [];
+  let line = '';
+  for (const word of text.split(' ')) {
+    const next = line ? `${line} ${word}` : word;
+    if (next.length <= maxChars || !line) {
+      line = next;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  const kept = lines.slice(0, maxLines);
+  const last = kept.length - 1;
+  if (last >= 0 && (lines.length > maxLines || kept[last].length > maxChars)) {
+    // Cut at a word boundary when one leaves room for the ellipsis
+    let cut = kept[last];
+    while (cut.length > maxChars - 1 && cut.includes(' ')) cut = cut.slice(0, cut.lastIndexOf(' '));
+    kept[last] = cut.slice(0, Math.max(0, maxChars - 1)).trimEnd() + '…';
+  }
+  return kept;
+}
+
+/**
+ * Lines and band height of a caption across a photo
+ * @param {Caption} caption - Caption and style
+ * @param {number} width - Photo width in pixels
+ * @returns {{lines: string[], height: number}} Wrapped lines and band height in pixels
+ */
+export function captionBand(caption, width) {
+  const pad = Math.round(caption.size * 0.5);
+  const lines = wrapText(caption.text, width - pad * 2, caption.size);
+  return { lines, height: Math.round(lines.length * caption.size * LINE_HEIGHT + pad * 2) };
+}
+
+/**
+ * Build an SVG caption band, composited over or below the photo
+ * @param {number} width - Band width (photo width) in pixels
+ * @param {Caption} caption - Caption and style
+ * @returns {{svg: string, height: number}} SVG document and its height
+ */
+export function createCaptionSvg(width, caption) {
+  const { lines, height } = captionBand(caption, width);
+  // Bands below the photo sit on the page background
+  const scrim = caption.position === 'below' ? 0 : caption.scrim;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    scrimRect(0, 0, width, height, scrim, caption) +
+    textLines(width / 2, height / 2, lines, caption) + '</svg>';
+  return { svg, height };
+}
+
+/**
+ * Build an SVG overlay with a page header and/or footer centered in the trim area
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {{header?: PageText, footer?: PageText}} text - Page texts
+ * @param {number} [inset] - Bleed + slug in pixels; text stays inside the trim edge
+ * @returns {string} SVG document sized to the canvas
+ */
+export function createPageTextSvg(width, height, text, inset = 0) {
+  const parts = pageTextBoxes(width, height, text, inset).map(box =>
+    scrimRect(box.x, box.y, box.width, box.height, box.style.scrim, box.style) +
+    textLines(box.x + box.width / 2, box.y + box.height / 2, box.lines, box.style));
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Build an SVG overlay with a title centered on the page
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {string} title - Title text
+ * @param {string} background - Page background, used to pick a readable text color
+ * @returns {string} SVG document sized to the canvas
+ */
+export function createTitleSvg(width, height, title, background) {
+  const fontSize = titleSize(width, height);
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" ` +
+    `font-family="${DEFAULT_FONT}" font-size="${fontSize}" fill="${contrastColor(background)}">${escapeXml(title)}</text></svg>`;
+}
+
+/**
+ * Font size of a page title
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @returns {number} Font size in pixels
+ */
+export function titleSize(width, height) {
+  return Math.round(Math.min(width, height) * 0.06);
+}
+
+/**
+ * Where page headers and footers go: one em inside the trim edge, boxed to fit the text
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {{header?: PageText, footer?: PageText}} text - Page texts
+ * @param {number} [inset] - Bleed + slug in pixels
+ * @returns {{style: PageText, lines: string[], x: number, y: number, width: number, height: number}[]} Scrim boxes
+ */
+export function pageTextBoxes(width, height, { header, footer }, inset = 0) {
+  const boxes = [];
+  for (const [style, atTop] of [[header, true], [footer, false]]) {
+    if (!style?.text) continue;
+    const lines = wrapText(style.text, width - inset * 2 - style.size * 2, style.size, 1);
+    const pad = Math.round(style.size * 0.4);
+    const boxW = Math.round(lines[0].length * style.size * GLYPH_WIDTH + pad * 4);
+    const boxH = Math.round(style.size * LINE_HEIGHT + pad * 2);
+    boxes.push({
+      style,
+      lines,
+      x: Math.round((width - boxW) / 2),
+      y: atTop ? inset + style.size : height - inset - style.size - boxH,
+      width: boxW,
+      height: boxH
+    });
+  }
+  return boxes;
+}
+
+/**
+ * Scrim color for a text style: the configured one, or black behind light text and white behind dark
+ * @param {TextStyle} style - Text style
+ * @returns {string} Scrim color (hex)
+ */
+export function scrimColor(style) {
+  return style.scrimColor || (isLight(style.color) ? '#000000' : '#ffffff');
+}
+
+function scrimRect(x, y, width, height, opacity, style) {
+  if (!(opacity > 0)) return '';
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${scrimColor(style)}" fill-opacity="${opacity}"/>`;
+}
+
+// Lines centered on (cx, cy)
+function textLines(cx, cy, lines, { size, color, font = DEFAULT_FONT }) {
+  const lineHeight = size * LINE_HEIGHT;
+  const top = cy - (lines.length - 1) * lineHeight / 2;
+  const spans = lines.map((line, i) =>
+    `<tspan x="${cx}" y="${Math.round(top + i * lineHeight)}">${escapeXml(line)}</tspan>`).join('');
+  return `<text text-anchor="middle" dominant-baseline="middle" font-family="${escapeXml(font)}" ` +
+    `font-size="${size}" fill="${color}">${spans}</text>`;
+}
+
+// Light by relative luminance; unparsable colors count as light
+function isLight(hex) {
+  const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex || '');
+  if (!m) return true;
+  const [r, g, b] = m.slice(1).map(v => parseInt(v, 16));
+  return (0.299 * r + 0.587 * g + 0.114 * b) > 140;
+}
+
+/**
+ * Dark or light text color readable on a background
+ * @param {string} hex - Background color
+ * @returns {string} Text color (hex)
+ */
+export function contrastColor(hex) {
+  return isLight(hex) ? '#333333' : '#f5f5f5';
+}
+
+/**
+ * Escape text for safe inclusion in SVG markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,205 @@
+
+/*  Web Module - Collage pages as SVG or responsive HTML/CSS
+    - One <image>/<img> per block, showing a resized derivative of the whole photo
+    - Cover crops stay adjustable: an SVG viewBox window, or CSS object-fit/object-position
+      plus a data-crop attribute
+    - HTML pages scale with their container; positions are percentages of the trim
+      area and lengths are container query units (cqw)
+    - Captions, titles and page headers/footers are live text wrapped as in the images
+    - Pages are shown at their trim size: bleed and printer marks are left out
+----------------------------------------------------------------*/
+import {
+  createCaptionSvg, createPageTextSvg, createTitleSvg, pageTextBoxes, scrimColor, titleSize,
+  contrastColor, escapeXml, DEFAULT_FONT, LINE_HEIGHT
+} from './text.js';
+
+export const WEB_FORMATS = ['svg', 'html'];
+
+// Blur of the smart-fit fill in page pixels, matching the raster renderer's blur of an 1/8 copy
+const SMART_BLUR = 32;
+
+/**
+ * @typedef {Object} WebPhoto
+ * @property {string} href - Derivative URL: a path relative to the page, or a data URI
+ * @property {number} imageWidth - Derivative width in pixels
+ * @property {number} imageHeight - Derivative height in pixels
+ * @property {number} x - Photo left edge on the page in pixels
+ * @property {number} y - Photo top edge on the page in pixels
+ * @property {number} width - Photo width in pixels
+ * @property {number} height - Photo height in pixels
+ * @property {'cover'|'contain'|'smart'} fit - Fit mode
+ * @property {import('./crop.js').CropRect} crop - Window shown in the block, in derivative pixels
+ *   (the whole derivative for contain and smart)
+ * @property {import('./text.js').Caption|null} caption - Caption drawn with the photo
+ * @property {{top: number, height: number, lines: string[]}|null} band - Caption band on the page
+ */
+
+/**
+ * @typedef {Object} WebPage
+ * @property {number} width - Page width in pixels, bleed and slug included
+ * @property {number} height - Page height in pixels
+ * @property {number} inset - Bleed + slug in pixels; the trim area inside it is shown
+ * @property {string} background - Background color (hex)
+ * @property {number} borderWidth - Border width around each photo in pixels
+ * @property {string} borderColor - Border color (hex)
+ * @property {string} [title] - Chapter title
+ * @property {import('./text.js').PageText} [header] - Page header
+ * @property {import('./text.js').PageText} [footer] - Page footer
+ * @property {WebPhoto[]} photos - Photos in drawing order
+ */
+
+/**
+ * Build a standalone SVG page; each photo is a nested viewport whose viewBox is its crop window
+ * @param {WebPage} page - Page and photos
+ * @returns {string} SVG document sized to the trim area
+ */
+export function createWebSvg({ width, height, inset, background, borderWidth, borderColor, title, header, footer, photos }) {
+  const trimW = width - inset * 2;
+  const trimH = height - inset * 2;
+  const defs = [];
+  const parts = [`<rect width="${width}" height="${height}" fill="${background}"/>`];
+
+  for (const [i, photo] of photos.entries()) {
+    const { x, y, width: w, height: h, crop } = photo;
+    const image = (filter = '') =>
+      `<image href="${escapeXml(photo.href)}" width="${photo.imageWidth}" height="${photo.imageHeight}"${filter}/>`;
+    const viewport = (viewBox, align, content) =>
+      `<svg x="${x}" y="${y}" width="${w}" height="${h}" viewBox="${viewBox}" preserveAspectRatio="xMidYMid ${align}">${content}</svg>`;
+    const whole = `0 0 ${photo.imageWidth} ${photo.imageHeight}`;
+
+    const group = [];
+    if (borderWidth > 0) {
+      group.push(`<rect x="${x - borderWidth}" y="${y - borderWidth}" width="${w + borderWidth * 2}" ` +
+        `height="${h + borderWidth * 2}" fill="${borderColor}"/>`);
+    }
+    if (photo.fit === 'cover') {
+      group.push(viewport(`${crop.left} ${crop.top} ${crop.width} ${crop.height}`, 'slice', image()));
+    } else {
+      group.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" fill="${background}"/>`);
+      if (photo.fit === 'smart') {
+        // The blur is in derivative pixels, which the slice viewport scales to the block
+        const scale = Math.max(w / photo.imageWidth, h / photo.imageHeight);
+        defs.push(`<filter id="fill-${i + 1}"><feGaussianBlur stdDeviation="${round(SMART_BLUR / scale)}"/>` +
+          '<feComponentTransfer><feFuncR type="linear" slope="0.85"/><feFuncG type="linear" slope="0.85"/>' +
+          '<feFuncB type="linear" slope="0.85"/></feComponentTransfer></filter>');
+        group.push(viewport(whole, 'slice', image(` filter="url(#fill-${i + 1})"`)));
+      }
+      group.push(viewport(whole, 'meet', image()));
+    }
+    if (photo.band) {
+      group.push(nested(createCaptionSvg(w, photo.caption).svg, x, photo.band.top));
+    }
+    parts.push(`<g id="photo-${i + 1}" data-fit="${photo.fit}">${group.join('')}</g>`);
+  }
+
+  if (title) parts.push(nested(createTitleSvg(width, height, title, background)));
+  if (header?.text || footer?.text) {
+    parts.push(nested(createPageTextSvg(width, height, { header, footer }, inset)));
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${trimW}" height="${trimH}" ` +
+    `viewBox="${inset} ${inset} ${trimW} ${trimH}">\n` +
+    (defs.length ? `<defs>${defs.join('')}</defs>\n` : '') +
+    parts.join('\n') + '\n</svg>\n';
+}
+
+/**
+ * Build a standalone responsive HTML page; photos are <img> elements with object-fit and object-position
+ * @param {WebPage} page - Page and photos
+ * @returns {string} HTML document whose page fills the width of its container
+ */
+export function createWebHtml({ width, height, inset, background, borderWidth, borderColor, title, header, footer, photos }) {
+  const trimW = width - inset * 2;
+  const trimH = height - inset * 2;
+  const cqw = px => `${round(px / trimW * 100)}cqw`;
+  const box = (x, y, w, h) =>
+    `left:${percent((x - inset) / trimW)};top:${percent((y - inset) / trimH)};` +
+    `width:${percent(w / trimW)};height:${percent(h / trimH)}`;
+  const text = style =>
+    `font-family:${style.font || DEFAULT_FONT};font-size:${cqw(style.size)};color:${style.color}`;
+  const scrim = style => style.scrim > 0 ? `;background:${withAlpha(scrimColor(style), style.scrim)}` : '';
+  const lines = list => list.map(escapeXml).join('<br>');
+
+  const elements = photos.map(photo => {
+    const { x, y, width: w, height: h, crop } = photo;
+    const img = (fit, style = '', alt = escapeXml(photo.caption?.text || '')) =>
+      `<img src="${escapeXml(photo.href)}" width="${photo.imageWidth}" height="${photo.imageHeight}" ` +
+      `alt="${alt}" loading="lazy" style="object-fit:${fit}${style}">`;
+
+    const children = [];
+    if (photo.fit === 'cover') {
+      // Crop windows are as large as the block aspect allows, so cover plus a position reproduces them
+      const position = (offset, size, visible) => size > visible ? percent(offset / (size - visible)) : '50%';
+      children.push(img('cover', `;object-position:${position(crop.left, photo.imageWidth, crop.width)} ` +
+        position(crop.top, photo.imageHeight, crop.height)));
+    } else {
+      if (photo.fit === 'smart') {
+        children.push(img('cover', `;filter:blur(${cqw(SMART_BLUR)}) brightness(0.85);clip-path:inset(0)`, ''));
+      }
+      children.push(img('contain'));
+    }
+    if (photo.band) {
+      const { caption, band } = photo;
+      const scrimStyle = caption.position === 'below' ? '' : scrim(caption);
+      children.push(`<figcaption style="top:${cqw(band.top - y)};height:${cqw(band.height)};` +
+        `${text(caption)}${scrimStyle}">${lines(band.lines)}</figcaption>`);
+    }
+
+    const border = borderWidth > 0 ? `;outline:${cqw(borderWidth)} solid ${borderColor}` : '';
+    // Contain letterboxes show the page background, not the border
+    const fill = photo.fit === 'cover' ? '' : `;background:${background}`;
+    return `<figure style="${box(x, y, w, h)}${border}${fill}" data-fit="${photo.fit}" ` +
+      `data-crop="${crop.left},${crop.top},${crop.width},${crop.height}">\n  ${children.join('\n  ')}\n</figure>`;
+  });
+
+  if (title) {
+    elements.push(`<div class="title" style="font-size:${cqw(titleSize(width, height))};` +
+      `color:${contrastColor(background)}">${escapeXml(title)}</div>`);
+  }
+  for (const textBox of pageTextBoxes(width, height, { header, footer }, inset)) {
+    elements.push(`<div class="page-text" style="${box(textBox.x, textBox.y, textBox.width, textBox.height)};` +
+      `${text(textBox.style)}${scrim(textBox.style)}">${lines(textBox.lines)}</div>`);
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title || header?.text || 'Collage')}</title>
+<style>
+.collage-page { position: relative; width: 100%; aspect-ratio: ${trimW} / ${trimH}; container-type: inline-size; overflow: hidden; background: ${background}; }
+.collage-page > * { position: absolute; margin: 0; box-sizing: border-box; }
+.collage-page img { position: absolute; inset: 0; display: block; width: 100%; height: 100%; }
+.collage-page figcaption, .collage-page .page-text { position: absolute; left: 0; right: 0; display: flex; align-items: center; justify-content: center; text-align: center; line-height: ${LINE_HEIGHT}; white-space: nowrap; }
+.collage-page .page-text { right: auto; }
+.collage-page .title { inset: 0; display: flex; align-items: center; justify-content: center; font-family: ${DEFAULT_FONT}; }
+</style>
+</head>
+<body>
+<div class="collage-page">
+${elements.join('\n')}
+</div>
+</body>
+</html>
+`;
+}
+
+function nested(svg, x = 0, y = 0) {
+  return `<g transform="translate(${x} ${y})">${svg}</g>`;
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function percent(fraction) {
+  return `${round(fraction * 100)}%`;
+}
+
+// Hex color with an opacity, as CSS
+function withAlpha(hex, alpha) {
+  const m = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  if (!m) return hex;
+  return `rgb(${m.slice(1).map(v => parseInt(v, 16)).join(' ')} / ${alpha})`;
+}